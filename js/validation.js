@@ -1,210 +1,2254 @@
-// Global variables for validation
-let validationErrors = {};
+/**
+ * Validation.js - Laravel-style form validation
+ *
+ * UMD build: exports the public API and the rule functions to CommonJS and AMD loaders,
+ * or defines the validationJs* functions, Validator and the ValidationJS namespace as globals.
+ */
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        // Script tag: only the public functions become globals, rule functions stay on ValidationJS
+        const api = factory();
+        const publicApi = [
+            'validationJs',
+            'validationJsAsync',
+            'validationJsData',
+            'validationJsDataAsync',
+            'validationJsAttach',
+            'validationJsError',
+            'validationJsDebug',
+            'validationJsExtend',
+            'validationJsRemote',
+            'validationJsLocale',
+            'validationJsHolidays',
+            'Validator'
+        ];
+        
+        root.ValidationJS = api;
+        publicApi.forEach(name => {
+            root[name] = api[name];
+        });
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// Module state for validation
 let validationDebug = false;
 
+// Validator used by validationJs() per form, and the one validationJsError() reads from
+const validationDefaultValidators = new WeakMap();
+let validationLastValidator = null;
+
+// Custom rules registered through validationJsExtend()
+const validationCustomRules = {};
+
+// Settings for the remote rule, see validationJsRemote()
+const validationRemoteSettings = {
+    method: 'GET',
+    headers: {},
+    credentials: 'same-origin',
+    debounce: 300,
+    fetch: null
+};
+
+// Pending request and last response of the remote rule per element (or data object) and field
+const validationRemoteState = new WeakMap();
+
+// Default English messages, :attribute is replaced with the field label
+const validationDefaultMessages = {
+    required: 'The :attribute field is required.',
+    required_if: 'The :attribute field is required when :other meets the specified conditions.',
+    string: 'The :attribute field must be a string.',
+    numeric: 'The :attribute field must be a number.',
+    integer: 'The :attribute field must be an integer.',
+    email: 'The :attribute field must be a valid email address.',
+    array: 'The :attribute field must be an array.',
+    file: 'The :attribute field must be a file.',
+    size: 'The :attribute file :file must not exceed :size.',
+    min_size: 'The :attribute file :file must be at least :size.',
+    total_size: 'The :attribute files must not exceed :size in total.',
+    min_files: 'The :attribute field must have at least :min files.',
+    max_files: 'The :attribute field must not have more than :max files.',
+    mimes: 'The :attribute file :file must be a file of type: :values.',
+    mimetypes: 'The :attribute file :file must be a file of type: :values.',
+    mimes_mismatch: 'The content of the :attribute file :file does not match its extension.',
+    mimetypes_mismatch: 'The content of the :attribute file :file does not match its extension.',
+    min: 'The :attribute field must be at least :min.',
+    max: 'The :attribute field must not be greater than :max.',
+    between: 'The :attribute field must be between :min and :max.',
+    date: 'The :attribute field must be a valid date.',
+    date_format: 'The :attribute field must match the format :format.',
+    date_format_skipped: 'The :attribute field is a time skipped by a daylight saving change.',
+    date_timezone: 'The timezone of the :attribute field is not known.',
+    after: 'The :attribute field must be a date after :date.',
+    before: 'The :attribute field must be a date before :date.',
+    after_or_equal: 'The :attribute field must be a date after or equal to :date.',
+    before_or_equal: 'The :attribute field must be a date before or equal to :date.',
+    weekend: 'The :attribute field must be a weekend date.',
+    weekday: 'The :attribute field must be a weekday.',
+    day_in: 'The :attribute field must fall on one of the following days: :values.',
+    business_day: 'The :attribute field must be a business day.',
+    not_holiday: 'The :attribute field must not be a holiday.',
+    min_lead_days: 'The :attribute field must be at least :days days from today.',
+    max_lead_days: 'The :attribute field must not be more than :days days from today.',
+    time: 'The :attribute field must be a valid time.',
+    url: 'The :attribute field must be a valid URL.',
+    boolean: 'The :attribute field must be true or false.',
+    confirmed: 'The :attribute confirmation does not match.',
+    confirmed_missing: 'The confirmation field of :attribute was not found.',
+    alpha: 'The :attribute field must contain only letters.',
+    alpha_num: 'The :attribute field must contain only letters and numbers.',
+    same: 'The :attribute field must match :other.',
+    same_missing: 'The field compared with :attribute was not found.',
+    different: 'The :attribute field must be different from :other.',
+    in: 'The selected :attribute is invalid.',
+    not_in: 'The selected :attribute is invalid.',
+    regex: 'The :attribute field format is invalid.',
+    json: 'The :attribute field must be a valid JSON string.',
+    ip: 'The :attribute field must be a valid IP address.',
+    ipv4: 'The :attribute field must be a valid IPv4 address.',
+    ipv6: 'The :attribute field must be a valid IPv6 address.',
+    uuid: 'The :attribute field must be a valid UUID.',
+    digits: 'The :attribute field must be :digits digits.',
+    digits_between: 'The :attribute field must be between :min and :max digits.',
+    min_length: 'The :attribute must be at least :min characters.',
+    max_length: 'The :attribute may not be greater than :max characters.',
+    alpha_dash: 'The :attribute may only contain letters, numbers, dashes and underscores.',
+    lowercase: 'The :attribute must be lowercase.',
+    uppercase: 'The :attribute must be uppercase.',
+    decimal: 'The :attribute must have :places decimal places.',
+    gt: 'The :attribute must be greater than :value.',
+    lt: 'The :attribute must be less than :value.',
+    lte: 'The :attribute must be less than or equal to :value.',
+    gte: 'The :attribute must be greater than or equal to :value.',
+    dimensions: 'The :attribute file :file has invalid image dimensions.',
+    dimensions_width: 'The :attribute image :file must be :width pixels wide.',
+    dimensions_height: 'The :attribute image :file must be :height pixels high.',
+    dimensions_min_width: 'The :attribute image :file must be at least :min_width pixels wide.',
+    dimensions_max_width: 'The :attribute image :file must not be wider than :max_width pixels.',
+    dimensions_min_height: 'The :attribute image :file must be at least :min_height pixels high.',
+    dimensions_max_height: 'The :attribute image :file must not be higher than :max_height pixels.',
+    dimensions_ratio: 'The :attribute image :file must have an aspect ratio of :ratio.',
+    dimensions_min_megapixels: 'The :attribute image :file must have at least :min_megapixels megapixels.',
+    dimensions_max_megapixels: 'The :attribute image :file must not have more than :max_megapixels megapixels.',
+    dimensions_orientation: 'The :attribute image :file must be :orientation.',
+    duration_min: 'The :attribute file :file must be at least :min seconds long.',
+    duration_max: 'The :attribute file :file must not be longer than :max seconds.',
+    video_dimensions: 'The :attribute video :file has invalid dimensions.',
+    audio_channels: 'The :attribute file :file must have :values audio channels.',
+    required_with: 'The :attribute field is required when :values is present.',
+    required_unless: 'The :attribute field is required unless :other is in :values.',
+    contains: 'The :attribute field must contain: :values.',
+    doesnt_contain: 'The :attribute field must not contain: :values.',
+    accepted: 'The :attribute must be accepted.',
+    min_items: 'The :attribute field must have at least :min items.',
+    max_items: 'The :attribute field must not have more than :max items.',
+    distinct: 'The :attribute field has a duplicate value.',
+    required_one_of: 'At least one :attribute is required.',
+    image: 'The :attribute file :file must be an image.',
+    remote: 'The :attribute field is invalid.',
+    remote_failed: 'The :attribute could not be verified.',
+    remote_url: 'The :attribute field has no remote validation URL.',
+    pending: 'The :attribute field has not been verified yet.',
+    error: 'The :attribute could not be validated.',
+    default: 'The :attribute field is invalid.'
+};
+
+// Message catalogs registered through validationJsLocale(), and the active locale
+const validationLocales = {};
+let validationLocale = 'en';
+
+// Holiday calendars registered through validationJsHolidays(): name => { dates, fn }
+const validationHolidays = {};
+
+// Rules that run once on all elements of an array field or wildcard key
+const validationGroupRules = ['min_items', 'max_items', 'distinct', 'required_one_of'];
+
+// Time allowed to load the metadata of an audio or video file (ms)
+const validationMediaTimeout = 10000;
+
+// Largest audio file decoded to count its channels (bytes), WAV files are read from their header
+const validationAudioDecodeLimit = 25 * 1024 * 1024;
+
+// Rules that read their dates in the timezone declared with date_timezone
+const validationTimezoneRules = ['date', 'date_format', 'date_timezone', 'after', 'before', 'after_or_equal', 'before_or_equal',
+    'weekend', 'weekday', 'day_in', 'business_day', 'not_holiday', 'min_lead_days', 'max_lead_days'];
+
+// Rules that read the content of the selected files, they can only answer asynchronously
+const validationFileContentRules = ['mimetypes', 'dimensions', 'duration_min', 'duration_max', 'video_dimensions', 'audio_channels'];
+
+// Moment-style formats accepted by date_format and their PHP equivalents (two-digit fields are required)
+const validationDateFormatAliases = {
+    'YYYY-MM-DD': 'Y-m-d',
+    'YYYY/MM/DD': 'Y/m/d',
+    'MM/DD/YYYY': 'm/d/Y',
+    'MM-DD-YYYY': 'm-d-Y',
+    'DD/MM/YYYY': 'd/m/Y',
+    'DD-MM-YYYY': 'd-m-Y',
+    'DD.MM.YYYY': 'd.m.Y',
+    'YYYY-MM-DD HH:mm': 'Y-m-d H:i',
+    'YYYY-MM-DD HH:mm:ss': 'Y-m-d H:i:s',
+    'HH:mm': 'H:i',
+    'HH:mm:ss': 'H:i:s',
+    'hh:mm A': 'h:i A',
+    'MM/YYYY': 'm/Y',
+    'MM-YYYY': 'm-Y',
+    'ISO8601': ['Y-m-d\\TH:i:sP', 'Y-m-d\\TH:i:s.vP']
+};
+
+// English day and month names read by the D, l, M and F format characters
+const validationDayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const validationMonthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// File signatures (magic bytes, ?? matches any byte) read by the mimetypes rule, specific signatures first.
+// Office documents are ZIP or OLE containers: their type comes from the extension when the container matches
+const validationFileSignatures = [
+    { type: 'image/png', extensions: ['png'], signatures: ['89 50 4E 47 0D 0A 1A 0A'] },
+    { type: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'], signatures: ['FF D8 FF'] },
+    { type: 'image/gif', extensions: ['gif'], signatures: ['47 49 46 38 37 61', '47 49 46 38 39 61'] },
+    { type: 'image/webp', extensions: ['webp'], signatures: ['52 49 46 46 ?? ?? ?? ?? 57 45 42 50'] },
+    { type: 'image/bmp', extensions: ['bmp'], signatures: ['42 4D ?? ?? ?? ?? 00 00 00 00'] },
+    { type: 'image/tiff', extensions: ['tif', 'tiff'], signatures: ['49 49 2A 00', '4D 4D 00 2A'] },
+    { type: 'image/avif', extensions: ['avif'], signatures: ['?? ?? ?? ?? 66 74 79 70 61 76 69 66'] },
+    { type: 'image/heic', extensions: ['heic', 'heif'], signatures: ['?? ?? ?? ?? 66 74 79 70 68 65 69 63', '?? ?? ?? ?? 66 74 79 70 6D 69 66 31'] },
+    { type: 'application/pdf', extensions: ['pdf'], signatures: ['25 50 44 46 2D'] },
+    { type: 'application/zip', extensions: ['zip'], signatures: ['50 4B 03 04', '50 4B 05 06', '50 4B 07 08'] },
+    { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['docx'], container: 'application/zip' },
+    { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['xlsx'], container: 'application/zip' },
+    { type: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['pptx'], container: 'application/zip' },
+    { type: 'application/vnd.oasis.opendocument.text', extensions: ['odt'], container: 'application/zip' },
+    { type: 'application/x-ole-storage', extensions: ['msi'], signatures: ['D0 CF 11 E0 A1 B1 1A E1'] },
+    { type: 'application/msword', extensions: ['doc'], container: 'application/x-ole-storage' },
+    { type: 'application/vnd.ms-excel', extensions: ['xls'], container: 'application/x-ole-storage' },
+    { type: 'application/vnd.ms-powerpoint', extensions: ['ppt'], container: 'application/x-ole-storage' },
+    { type: 'video/quicktime', extensions: ['mov'], signatures: ['?? ?? ?? ?? 66 74 79 70 71 74 20 20'] },
+    { type: 'audio/mp4', extensions: ['m4a'], signatures: ['?? ?? ?? ?? 66 74 79 70 4D 34 41 20'] },
+    { type: 'video/mp4', extensions: ['mp4', 'm4v'], signatures: ['?? ?? ?? ?? 66 74 79 70'] },
+    { type: 'video/webm', extensions: ['webm', 'mkv'], signatures: ['1A 45 DF A3'] },
+    { type: 'audio/mpeg', extensions: ['mp3'], signatures: ['49 44 33', 'FF FB', 'FF F3', 'FF F2'] },
+    { type: 'audio/wav', extensions: ['wav'], signatures: ['52 49 46 46 ?? ?? ?? ?? 57 41 56 45'] },
+    { type: 'audio/ogg', extensions: ['ogg', 'oga'], signatures: ['4F 67 67 53'] },
+    { type: 'application/gzip', extensions: ['gz', 'tgz'], signatures: ['1F 8B'] },
+    { type: 'application/vnd.rar', extensions: ['rar'], signatures: ['52 61 72 21 1A 07'] },
+    { type: 'application/x-7z-compressed', extensions: ['7z'], signatures: ['37 7A BC AF 27 1C'] },
+    { type: 'application/x-msdownload', extensions: ['exe', 'dll'], signatures: ['4D 5A'] }
+];
+
+// Define classes for validation (Bootstrap classes)
+const validationSuccessClass = 'is-valid';
+const validationErrorClass = 'is-invalid';
+
 /**
- * Main validation function
- * @param {HTMLElement|string} formElement - Form element or form ID
- * @param {Object} rules - Validation rules
- * @param {Object} messages - Custom messages (optional)
- * @param {string} attributeType - Attribute type to use ('name' or 'id', default: 'name')
- * @returns {boolean} - True if validation passes
+ * Validator bound to a form, with its own errors, debug flag, CSS classes and display settings
  */
-function validationJs(formElement, rules, messages = {}, attributeType = 'name') {
-    // Clear previous errors
-    validationErrors = {};
-
-    // Define classes for validation (Bootstrap classes)
-    const validationSuccessClass = 'is-valid';
-    const validationErrorClass = 'is-invalid';
+class Validator {
+    /**
+     * @param {HTMLElement|string} formElement - Form element or form ID
+     * @param {Object} rules - Validation rules
+     * @param {Object} messages - Custom messages (optional)
+     * @param {Object} options - Options (optional):
+     *                           attributeType ('name' or 'id', default: 'name'),
+     *                           debug (default: the validationJsDebug() setting),
+     *                           successClass (default: 'is-valid'), errorClass (default: 'is-invalid'),
+     *                           displayMode ('single' or 'multi', default: 'single'),
+     *                           stopOnFirstFailure (stop at the first failing rule of each field, default: true),
+     *                           inline (inline error options), toastr (toastr options)
+     */
+    constructor(formElement, rules = {}, messages = {}, options = {}) {
+        this.formElement = formElement;
+        this.rules = rules;
+        this.messages = messages;
+        this.options = {
+            attributeType: 'name',
+            debug: validationDebug,
+            successClass: validationSuccessClass,
+            errorClass: validationErrorClass,
+            displayMode: 'single',
+            stopOnFirstFailure: true,
+            inline: {},
+            toastr: {},
+            ...options
+        };
+        
+        // Errors per error key, the element each error belongs to and the details of each failed rule
+        this.errors = {};
+        this.errorElements = {};
+        this.errorDetails = {};
+        // Error key and details stored by the group rules of each rule key, a wildcard group shares the key of a row or another rule
+        this.groupErrors = {};
+        this.inlineErrors = new Map();
+        this.live = null;
+    }
     
-    try {
-        // Get form element
-        let form;
-        if (typeof formElement === 'string') {
-            form = document.getElementById(formElement.replace('#', ''));
-        } else {
-            form = formElement;
-        }
+    /**
+     * Validate the form, asynchronous rules fail as pending (use validateAsync() for them)
+     * @returns {boolean} - True if validation passes
+     */
+    validate() {
+        this.resetErrors();
         
-        if (!form) {
-            throw new Error('Form element not found');
-        }
+        return this.runValidation(runFieldRules);
+    }
+    
+    /**
+     * Validate the form, awaiting rules that return a Promise (e.g. dimensions)
+     * @returns {Promise<boolean>} - Resolves to true if validation passes
+     */
+    async validateAsync() {
+        this.resetErrors();
         
-        // Debug info
-        if (validationDebug) {
-            console.log('Validation started for form:', form);
-            console.log('Rules:', rules);
-            console.log('Messages:', messages);
+        // Drop live validations still in flight, the full validation replaces them
+        if (this.live) {
+            for (let fieldName in this.live.runs) {
+                this.live.runs[fieldName] += 1;
+            }
+            for (let fieldName in this.rules) {
+                this.live.touchedFields.add(fieldName);
+            }
         }
         
-        let isValid = true;
+        return this.runValidation(runFieldRulesAsync);
+    }
+    
+    /**
+     * Validate every rule key of the form with the rule runner of validate() or validateAsync()
+     * @param {Function} runRules - runFieldRules, or runFieldRulesAsync to await asynchronous rules
+     * @returns {boolean|Promise<boolean>} - True if validation passes, a Promise with runFieldRulesAsync
+     */
+    runValidation(runRules) {
+        const handleError = (error) => {
+            console.error('Validation error:', error);
+            this.errors['_global'] = ['Validation system error: ' + error.message];
+            return false;
+        };
         
-        // Validate each field
-        for (let fieldName in rules) {
-            const fieldRules = rules[fieldName];
+        try {
+            const form = getFormElement(this.formElement);
             
-            // Check if field name ends with [] (array field)
-            if (fieldName.endsWith('[]')) {
-                const baseFieldName = fieldName.slice(0, -2);
-                const fieldElements = form.querySelectorAll(`[${attributeType}="${fieldName}"]`);
-                
-                if (fieldElements.length === 0) {
-                    if (validationDebug) {
-                        console.warn(`Array field elements not found: ${fieldName}`);
-                    }
-                    continue;
-                }
-                
-                // Validate each array element
-                fieldElements.forEach((fieldElement, index) => {
-                    const indexedFieldName = `${baseFieldName}_${index}`;
-                    const fieldValue = getFieldValue(fieldElement);
-                    const fieldMessages = messages[fieldName] || {};
-                    const fieldLabel = fieldMessages.label || baseFieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-                    
-                    // Remove previous validation classes before evaluating
-                    fieldElement.classList.remove(validationErrorClass, validationSuccessClass);
-                    
-                    if (validationDebug) {
-                        console.log(`Validating array field: ${indexedFieldName}, value:`, fieldValue);
-                    }
-                    
-                    let fieldIsValid = true;
-                    const ruleArray = parseRules(fieldRules);
-                    
-                    for (let rule of ruleArray) {
-                        const result = validateRule(fieldValue, rule, fieldElement, form, attributeType);
-                        
-                        if (!result.valid) {
-                            isValid = false;
-                            fieldIsValid = false;
-                            const errorMessage = getErrorMessage(baseFieldName, rule, fieldMessages, `${fieldLabel} #${index + 1}`, result.message);
-                            
-                            if (!validationErrors[indexedFieldName]) {
-                                validationErrors[indexedFieldName] = [];
-                            }
-                            validationErrors[indexedFieldName].push(errorMessage);
-                            
-                            // Add error class to field
-                            fieldElement.classList.add(validationErrorClass);
-                            
-                            if (validationDebug) {
-                                console.log(`Validation failed for ${indexedFieldName}:`, errorMessage);
-                            }
-                            break;
-                        }
-                    }
-                    
-                    // If validation passed, add success class
-                    if (fieldIsValid) {
-                        fieldElement.classList.add(validationSuccessClass);
+            // Debug info
+            if (this.options.debug) {
+                console.log('Validation started for form:', form);
+                console.log('Rules:', this.rules);
+                console.log('Messages:', this.messages);
+            }
+            
+            // Rules of a field run one after another
+            const runs = this.getFormRuns(form);
+            const failures = mapInSequence(runs, run => (
+                runRules(run.value, run.ruleArray, run.target, form, this.options.attributeType, { messages: this.messages }, this.options.stopOnFirstFailure)
+            ));
+            
+            const applyResults = (results) => {
+                // Rows first, so the group errors of a wildcard key are added to the errors of their row
+                runs.forEach((run, index) => {
+                    if (run.isGroup) {
+                        this.applyGroupResult(run.target, results[index]);
+                    } else {
+                        this.applyFieldResult(run.target, results[index]);
                     }
                 });
-            } else {
-                // Regular field validation (non-array)
-                const fieldElement = form.querySelector(`[${attributeType}="${fieldName}"]`);
                 
-                if (!fieldElement) {
-                    if (validationDebug) {
-                        console.warn(`Field element not found: ${fieldName}`);
-                    }
-                    continue;
+                const isValid = results.every(runFailures => runFailures.length === 0);
+                
+                if (this.options.debug) {
+                    console.log('Validation completed. Is valid:', isValid);
+                    console.log('Errors:', this.errors);
                 }
                 
-                const fieldValue = getFieldValue(fieldElement);
-                const fieldMessages = messages[fieldName] || {};
-                const fieldLabel = fieldMessages.label || fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+                return isValid;
+            };
+            
+            return isPromiseLike(failures) ? failures.then(applyResults, handleError) : applyResults(failures);
+            
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+    
+    /**
+     * List the rule runs of the form: the item rules of each element, then the group rules of each rule key
+     * @param {HTMLElement} form - Form element
+     * @returns {Array} - Runs { target, value, ruleArray, isGroup }
+     */
+    getFormRuns(form) {
+        const runs = [];
+        
+        for (let fieldName in this.rules) {
+            const { itemRules, groupRules } = splitGroupRules(fieldName, parseRules(this.rules[fieldName]));
+            const targets = this.getFieldTargets(form, fieldName);
+            const values = targets.map(target => this.readFieldValue(target));
+            
+            targets.forEach((target, index) => runs.push({ target, value: values[index], ruleArray: itemRules, isGroup: false }));
+            
+            // Rules like min_items and distinct run once on the values of all elements
+            if (groupRules.length > 0) {
+                const groupTarget = getGroupTarget(fieldName, targets, this.messages[fieldName] || {});
+                runs.push({ target: groupTarget, value: values, ruleArray: groupRules, isGroup: true });
+            }
+        }
+        
+        return runs;
+    }
+    
+    /**
+     * Validate a single rule key and the array elements it matches, awaiting asynchronous rules
+     * @param {string} fieldName - Field name from the rules object, or the path of one row of a
+     *                             wildcard key (items.0.qty or items[0][qty] for items.*.qty)
+     * @param {Object} context - Validation context passed to the rules (optional)
+     * @returns {Promise<boolean>} - Resolves to true if the field is valid
+     */
+    validateField(fieldName, context = {}) {
+        const ruleKey = this.getRuleKey(fieldName);
+        if (!ruleKey) {
+            return Promise.resolve(true);
+        }
+        
+        // A row of a wildcard key is validated on its own
+        const rowPath = ruleKey === fieldName ? null : parseFieldPath(fieldName).join('.');
+        if (rowPath !== null) {
+            fieldName = rowPath;
+        }
+        
+        const live = this.live || { runs: {}, latest: {}, touchedFields: new Set() };
+        const run = (live.runs[fieldName] || 0) + 1;
+        live.runs[fieldName] = run;
+        
+        const promise = (async () => {
+            const form = getFormElement(this.formElement);
+            const { itemRules, groupRules } = splitGroupRules(ruleKey, parseRules(this.rules[ruleKey]));
+            const allTargets = this.getFieldTargets(form, ruleKey);
+            const targets = allTargets.filter(target => rowPath === null || target.errorKey === rowPath);
+            const ruleContext = { messages: this.messages, ...context };
+            const failures = [];
+            
+            for (let target of targets) {
+                failures.push(await runFieldRulesAsync(this.readFieldValue(target), itemRules, target, form, this.options.attributeType, ruleContext, this.options.stopOnFirstFailure));
+            }
+            
+            // Group rules see every element, also when a single row was edited
+            let groupTarget = null;
+            let groupFailures = [];
+            if (groupRules.length > 0) {
+                const values = allTargets.map(target => getFieldValue(target.element));
+                groupTarget = getGroupTarget(ruleKey, allTargets, this.messages[ruleKey] || {});
+                groupFailures = await runFieldRulesAsync(values, groupRules, groupTarget, form, this.options.attributeType, ruleContext, this.options.stopOnFirstFailure);
+            }
+            
+            const isValid = groupFailures.length === 0 && failures.every(targetFailures => targetFailures.length === 0);
+            
+            // A newer validation of this field started while waiting, its outcome wins
+            if (live.runs[fieldName] !== run) {
+                return live.latest[fieldName] !== promise ? live.latest[fieldName] : isValid;
+            }
+            
+            if (rowPath === null) {
+                this.clearFieldErrors(fieldName);
+            }
+            targets.forEach((target, index) => this.applyFieldResult(target, failures[index]));
+            if (groupTarget) {
+                this.applyGroupResult(groupTarget, groupFailures);
+            }
+            live.touchedFields.add(fieldName);
+            
+            if (this.options.debug) {
+                console.log(`Validation of ${fieldName} completed. Is valid:`, isValid);
+            }
+            
+            return isValid;
+        })();
+        
+        live.latest[fieldName] = promise;
+        return promise;
+    }
+    
+    /**
+     * Validate the touched field and the fields depending on it on input, change and blur
+     * @param {Object} options - Options (optional):
+     *                           events (default: ['input', 'change', 'blur']),
+     *                           inlineErrors (true or inline options to render messages next to the fields),
+     *                           onValidate (callback(fieldName, isValid) called after a field is validated)
+     * @returns {Validator} - The validator
+     */
+    attach(options = {}) {
+        this.detach();
+        
+        const form = getFormElement(this.formElement);
+        const { events = ['input', 'change', 'blur'], inlineErrors = false, onValidate = null } = options;
+        const { attributeType } = this.options;
+        
+        if (typeof inlineErrors === 'object' && inlineErrors !== null) {
+            this.options.inline = inlineErrors;
+        }
+        
+        const ruleArrays = {};
+        for (let fieldName in this.rules) {
+            ruleArrays[fieldName] = parseRules(this.rules[fieldName]);
+        }
+        
+        const dependents = getFieldDependents(form, ruleArrays, attributeType);
+        const live = { form, events, inlineErrors, runs: {}, latest: {}, touchedFields: new Set(), handleEvent: null };
+        
+        const validateLiveField = (fieldName) => {
+            const promise = this.validateField(fieldName, { live: true });
+            
+            promise.then(isValid => {
+                // Skip outcomes replaced by a newer validation or arriving after detach()
+                if (this.live !== live || live.latest[fieldName] !== promise) return;
                 
-                // Remove previous validation classes before evaluating
-                fieldElement.classList.remove(validationErrorClass, validationSuccessClass);
+                if (inlineErrors) {
+                    this.showInlineErrors(this.getErrorMessages());
+                }
                 
-                if (validationDebug) {
-                    console.log(`Validating field: ${fieldName}, value:`, fieldValue);
+                if (typeof onValidate === 'function') {
+                    onValidate(fieldName, isValid);
+                }
+            }).catch(error => {
+                // An input event has no caller to reject to, a throwing onValidate is only logged
+                console.error(`Error in live validation of ${fieldName}:`, error);
+            });
+        };
+        
+        live.handleEvent = (event) => {
+            const element = event.target;
+            const fieldName = element && element.getAttribute ? element.getAttribute(attributeType) : null;
+            if (!fieldName) return;
+            
+            const fieldsToValidate = [];
+            const addField = (name) => {
+                if (!fieldsToValidate.includes(name)) {
+                    fieldsToValidate.push(name);
                 }
+            };
+            
+            if (ruleArrays[fieldName]) {
+                addField(fieldName);
+            }
+            
+            // Dotted keys match bracket names, a row of a wildcard key is validated on its own
+            for (let ruleKey in ruleArrays) {
+                if (ruleKey === fieldName || !isFieldPath(ruleKey)) continue;
                 
-                let fieldIsValid = true;
-                const ruleArray = parseRules(fieldRules);
+                const wildcards = matchFieldPath(ruleKey, fieldName);
+                if (wildcards) {
+                    addField(wildcards.includes('') ? ruleKey : parseFieldPath(fieldName).join('.'));
+                }
+            }
+            
+            // Dependent fields are only re-validated once the user has been there,
+            // references like items.*.stock resolve to the dependent field of the same row
+            for (let referencedField in dependents) {
+                const wildcards = referencedField === fieldName
+                    ? []
+                    : (isFieldPath(referencedField) ? matchFieldPath(referencedField, fieldName) : null);
+                if (!wildcards) continue;
                 
-                for (let rule of ruleArray) {
-                    const result = validateRule(fieldValue, rule, fieldElement, form, attributeType);
+                for (let dependent of dependents[referencedField]) {
+                    const dependentField = wildcards.length > 0 && !wildcards.includes('')
+                        ? fillFieldPath(dependent, wildcards)
+                        : dependent;
                     
-                    if (!result.valid) {
-                        isValid = false;
-                        fieldIsValid = false;
-                        const errorMessage = getErrorMessage(fieldName, rule, fieldMessages, fieldLabel, result.message);
-                        
-                        if (!validationErrors[fieldName]) {
-                            validationErrors[fieldName] = [];
-                        }
-                        validationErrors[fieldName].push(errorMessage);
-                        
-                        // Add error class to field
-                        fieldElement.classList.add(validationErrorClass);
-                        
-                        if (validationDebug) {
-                            console.log(`Validation failed for ${fieldName}:`, errorMessage);
-                        }
-                        break;
+                    if (dependentField !== fieldName && (live.touchedFields.has(dependentField) || live.touchedFields.has(dependent))) {
+                        addField(dependentField);
                     }
                 }
-                
-                // If validation passed, add success class
-                if (fieldIsValid) {
-                    fieldElement.classList.add(validationSuccessClass);
+            }
+            
+            fieldsToValidate.forEach(validateLiveField);
+        };
+        
+        events.forEach(eventName => form.addEventListener(eventName, live.handleEvent, true));
+        this.live = live;
+        
+        if (this.options.debug) {
+            console.log('Live validation attached to form:', form);
+            console.log('Field dependents:', dependents);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Remove the live validation listeners, and the classes and errors they added
+     * @returns {Validator} - The validator
+     */
+    detach() {
+        const live = this.live;
+        if (!live) return this;
+        
+        this.live = null;
+        live.events.forEach(eventName => live.form.removeEventListener(eventName, live.handleEvent, true));
+        
+        for (let fieldName of live.touchedFields) {
+            this.clearFieldErrors(fieldName);
+            this.getFieldTargets(live.form, fieldName).forEach(target => {
+                getFieldElements(target.element).forEach(element => {
+                    element.classList.remove(this.options.errorClass, this.options.successClass);
+                    // Leave no empty class attribute on elements that had no classes of their own
+                    if (element.classList.length === 0) {
+                        element.removeAttribute('class');
+                    }
+                });
+            });
+        }
+        
+        if (live.inlineErrors) {
+            this.showInlineErrors(this.getErrorMessages());
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Get the errors or display them
+     * @param {string} type - Error display type ('raw', 'detailed', 'toastr', 'inline')
+     * @param {string|Object} mode - Display mode ('single', 'multi'), 'all' for every message of each field with type 'raw',
+     *                               or inline options for type 'inline'
+     * @returns {Object|void} - Error messages or displays them
+     */
+    getErrors(type = 'raw', mode = this.options.displayMode) {
+        if (type === 'raw' && mode === 'all') {
+            return this.getAllErrorMessages();
+        }
+        
+        if (type === 'detailed') {
+            return this.getErrorDetails();
+        }
+        
+        const errorMessages = this.getErrorMessages();
+        
+        if (type === 'raw') {
+            return errorMessages;
+        }
+        
+        if (type === 'toastr') {
+            showToastrErrors(errorMessages, mode, this.options.toastr);
+            return;
+        }
+        
+        if (type === 'inline') {
+            this.showInlineErrors(errorMessages, typeof mode === 'object' && mode !== null ? mode : this.options.inline);
+            return;
+        }
+        
+        return errorMessages;
+    }
+    
+    /**
+     * Get the first error message of each field
+     * @returns {Object} - Error messages keyed by error key
+     */
+    getErrorMessages() {
+        const errorMessages = {};
+        
+        // Flatten errors
+        for (let field in this.errors) {
+            if (this.errors[field].length > 0) {
+                errorMessages[field] = this.errors[field][0]; // Get first error for each field
+            }
+        }
+        
+        return errorMessages;
+    }
+    
+    /**
+     * Get every error message of each field
+     * @returns {Object} - Arrays of error messages keyed by error key
+     */
+    getAllErrorMessages() {
+        const errorMessages = {};
+        
+        for (let field in this.errors) {
+            if (this.errors[field].length > 0) {
+                errorMessages[field] = [...this.errors[field]];
+            }
+        }
+        
+        return errorMessages;
+    }
+    
+    /**
+     * Get the details of every failed rule
+     * @returns {Array} - Error details { field, index, errorKey, rule, parameters, label, message, element }
+     */
+    getErrorDetails() {
+        const errorDetails = [];
+        
+        for (let errorKey in this.errors) {
+            if (this.errorDetails[errorKey]) {
+                errorDetails.push(...this.errorDetails[errorKey].map(detail => ({ ...detail, parameters: [...detail.parameters] })));
+            } else {
+                // Errors not raised by a rule, e.g. _global
+                this.errors[errorKey].forEach(message => errorDetails.push({
+                    field: errorKey,
+                    index: null,
+                    errorKey,
+                    rule: null,
+                    parameters: [],
+                    label: null,
+                    message,
+                    element: null
+                }));
+            }
+        }
+        
+        return errorDetails;
+    }
+    
+    /**
+     * Enable/disable debug mode for this validator
+     * @param {boolean} enable - Enable debug mode
+     * @returns {Validator} - The validator
+     */
+    setDebug(enable = true) {
+        this.options.debug = enable;
+        return this;
+    }
+    
+    /**
+     * Clear the errors in place, so references to this.errors stay valid
+     */
+    resetErrors() {
+        Object.keys(this.errors).forEach(errorKey => delete this.errors[errorKey]);
+        this.errorElements = {};
+        this.errorDetails = {};
+        this.groupErrors = {};
+    }
+    
+    /**
+     * Find the rule key of a field name, a row path (items.0.qty or items[0][qty]) gives its wildcard key (items.*.qty)
+     * @param {string} fieldName - Field name
+     * @returns {string|null} - Rule key or null if no rule applies
+     */
+    getRuleKey(fieldName) {
+        if (this.rules[fieldName]) {
+            return fieldName;
+        }
+        
+        for (let ruleKey in this.rules) {
+            if (isFieldPath(ruleKey) && matchFieldPath(ruleKey, fieldName)) {
+                return ruleKey;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the elements a rule key applies to
+     * @param {HTMLElement} form - Form element
+     * @param {string} fieldName - Field name from the rules object (may end with [], or be a dotted path like items.*.qty)
+     * @returns {Array} - Array of targets { element, fieldName, errorKey, index, label, messages, isArray, wildcards }
+     */
+    getFieldTargets(form, fieldName) {
+        const { attributeType } = this.options;
+        const fieldMessages = this.messages[fieldName] || {};
+        
+        // Dotted key matching bracket names: items.*.qty => items[0][qty], items[1][qty]
+        if (isFieldPath(fieldName) && !fieldName.endsWith('[]')) {
+            const targets = getPathTargets(form, fieldName, attributeType, fieldMessages);
+            
+            if (targets.length === 0 && this.options.debug) {
+                console.warn(`Field elements not found: ${fieldName}`);
+            }
+            
+            return targets;
+        }
+        
+        // Check if field name ends with [] (array field)
+        if (fieldName.endsWith('[]')) {
+            const baseFieldName = fieldName.slice(0, -2);
+            const fieldElements = form.querySelectorAll(`[${attributeType}="${fieldName}"]`);
+            
+            if (fieldElements.length === 0) {
+                if (this.options.debug) {
+                    console.warn(`Array field elements not found: ${fieldName}`);
                 }
+                return [];
             }
+            
+            const fieldLabel = getFieldLabel(fieldName, fieldMessages);
+            
+            return Array.from(fieldElements).map((element, index) => ({
+                element,
+                fieldName: baseFieldName,
+                errorKey: `${baseFieldName}_${index}`,
+                index,
+                label: `${fieldLabel} #${index + 1}`,
+                messages: fieldMessages,
+                isArray: true
+            }));
         }
         
-        if (validationDebug) {
-            console.log('Validation completed. Is valid:', isValid);
-            console.log('Errors:', validationErrors);
+        // Regular field (non-array)
+        const fieldElement = form.querySelector(`[${attributeType}="${fieldName}"]`);
+        
+        if (!fieldElement) {
+            if (this.options.debug) {
+                console.warn(`Field element not found: ${fieldName}`);
+            }
+            return [];
         }
         
-        return isValid;
+        return [{
+            element: fieldElement,
+            fieldName,
+            errorKey: fieldName,
+            index: null,
+            label: getFieldLabel(fieldName, fieldMessages),
+            messages: fieldMessages,
+            isArray: false
+        }];
+    }
+    
+    /**
+     * Read the value of a target
+     * @param {Object} target - Target from getFieldTargets
+     * @returns {*} - Field value
+     */
+    readFieldValue(target) {
+        const fieldValue = getFieldValue(target.element);
         
-    } catch (error) {
-        console.error('Validation error:', error);
-        validationErrors['_global'] = ['Validation system error: ' + error.message];
-        return false;
+        if (this.options.debug) {
+            console.log(`Validating ${target.isArray ? 'array field' : 'field'}: ${target.errorKey}, value:`, fieldValue);
+        }
+        
+        return fieldValue;
+    }
+    
+    /**
+     * Replace a target's validation classes and errors with the outcome of its rules
+     * @param {Object} target - Target from getFieldTargets
+     * @param {Array} failures - Failures from runFieldRules
+     */
+    applyFieldResult(target, failures) {
+        const { element } = target;
+        const elements = getFieldElements(element);
+        
+        // Remove previous validation classes and errors before applying
+        elements.forEach(fieldElement => fieldElement.classList.remove(this.options.errorClass, this.options.successClass));
+        delete this.errors[target.errorKey];
+        delete this.errorElements[target.errorKey];
+        delete this.errorDetails[target.errorKey];
+        
+        if (failures.length > 0) {
+            const errorDetails = getFailureDetails(target, failures);
+            const errorMessages = getDetailMessages(errorDetails);
+            
+            this.errors[target.errorKey] = errorMessages;
+            this.errorElements[target.errorKey] = element;
+            this.errorDetails[target.errorKey] = errorDetails;
+            
+            // Add error class to field
+            elements.forEach(fieldElement => fieldElement.classList.add(this.options.errorClass));
+            
+            if (this.options.debug) {
+                console.log(`Validation failed for ${target.errorKey}:`, errorMessages);
+            }
+        } else {
+            // If validation passed, add success class
+            elements.forEach(fieldElement => fieldElement.classList.add(this.options.successClass));
+        }
+    }
+    
+    /**
+     * Store the outcome of the group rules of an array field under its base name
+     * @param {Object} target - Target from getGroupTarget
+     * @param {Array} failures - Failures from runFieldRules
+     */
+    applyGroupResult(target, failures) {
+        this.removeGroupErrors(target.ruleKey);
+        
+        if (failures.length === 0) return;
+        
+        // A wildcard group shares the error key of a row, its errors are added to those of the row
+        const errorTarget = getGroupErrorTarget(target, failures);
+        const errorKey = errorTarget.errorKey;
+        const errorDetails = getFailureDetails(errorTarget, failures);
+        const errorMessages = getDetailMessages(errorDetails);
+        
+        this.errorDetails[errorKey] = [...(this.errorDetails[errorKey] || []), ...errorDetails];
+        this.errors[errorKey] = getDetailMessages(this.errorDetails[errorKey]);
+        this.groupErrors[target.ruleKey] = { errorKey, errorDetails, isRow: errorTarget !== target };
+        
+        // The element stands for the group, its own classes are left to applyFieldResult
+        if (errorTarget.element) {
+            this.errorElements[errorKey] = errorTarget.element;
+            errorTarget.element.classList.remove(this.options.successClass);
+            errorTarget.element.classList.add(this.options.errorClass);
+        }
+        
+        if (this.options.debug) {
+            console.log(`Validation failed for ${errorKey}:`, errorMessages);
+        }
+    }
+    
+    /**
+     * Remove the errors the group rules of a rule key stored in the previous run, other errors under the same key are kept
+     * @param {string} ruleKey - Field name from the rules object
+     */
+    removeGroupErrors(ruleKey) {
+        const previous = this.groupErrors[ruleKey];
+        delete this.groupErrors[ruleKey];
+        
+        if (!previous || !this.errorDetails[previous.errorKey]) return;
+        
+        const { errorKey, errorDetails, isRow } = previous;
+        const remaining = this.errorDetails[errorKey].filter(detail => !errorDetails.includes(detail));
+        
+        if (remaining.length > 0) {
+            this.errorDetails[errorKey] = remaining;
+            this.errors[errorKey] = getDetailMessages(remaining);
+            return;
+        }
+        
+        const element = this.errorElements[errorKey];
+        delete this.errors[errorKey];
+        delete this.errorElements[errorKey];
+        delete this.errorDetails[errorKey];
+        
+        // The row only failed the group rules, the element of a group key keeps the classes of its own rules
+        if (element && isRow) {
+            element.classList.remove(this.options.errorClass);
+            element.classList.add(this.options.successClass);
+        }
+    }
+    
+    /**
+     * Remove the stored errors of a rule key, including the indexed and group errors of an array field and the rows of a wildcard key
+     * @param {string} fieldName - Field name from the rules object (may end with [] or contain *)
+     */
+    clearFieldErrors(fieldName) {
+        const baseFieldName = fieldName.endsWith('[]') ? fieldName.slice(0, -2) : null;
+        
+        for (let errorKey in this.errors) {
+            const isIndexedKey = baseFieldName !== null
+                && errorKey.startsWith(`${baseFieldName}_`)
+                && /^\d+$/.test(errorKey.slice(baseFieldName.length + 1));
+            const isRowKey = fieldName.includes('*') && matchFieldPath(fieldName, errorKey) !== null;
+            if (errorKey === fieldName || isIndexedKey || isRowKey) {
+                delete this.errors[errorKey];
+                delete this.errorElements[errorKey];
+                delete this.errorDetails[errorKey];
+            }
+        }
+        
+        // The base name of a group can hold the errors of another rule key (items and items.*.email)
+        this.removeGroupErrors(fieldName);
     }
+    
+    /**
+     * Show errors next to their fields, messages of fields that became valid are removed
+     * @param {Object} errorMessages - Error messages
+     * @param {Object} options - Inline options:
+     *                           template (HTML with a :message placeholder, default Bootstrap invalid-feedback div),
+     *                           container (selector with a :field placeholder, or function(element, errorKey) returning the container)
+     */
+    showInlineErrors(errorMessages, options = this.options.inline) {
+        const {
+            template = '<div class="invalid-feedback">:message</div>',
+            container = null
+        } = options;
+
+        // Clean up messages of fields that are valid now
+        this.inlineErrors.forEach((inlineError, errorKey) => {
+            if (!errorMessages[errorKey] || this.errorElements[errorKey] !== inlineError.element) {
+                this.removeInlineError(errorKey);
+            }
+        });
+
+        for (let errorKey in errorMessages) {
+            const element = this.errorElements[errorKey];
+            if (!element) continue;
+
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = template.replace(/:message/g, () => escapeHtml(errorMessages[errorKey])).trim();
+            const feedback = wrapper.firstElementChild;
+            if (!feedback) continue;
+
+            const feedbackId = `${(element.id || errorKey).replace(/[^\w-]/g, '_')}-error`;
+            feedback.id = feedbackId;
+            feedback.setAttribute('data-validation-for', errorKey);
+
+            const inlineError = this.inlineErrors.get(errorKey);
+            if (inlineError) {
+                // Update the message in place
+                inlineError.feedback.replaceWith(feedback);
+                if (inlineError.feedback.style.display) {
+                    feedback.style.display = inlineError.feedback.style.display;
+                }
+            } else {
+                let target = null;
+                if (typeof container === 'function') {
+                    target = container(element, errorKey);
+                } else if (typeof container === 'string') {
+                    // Keys like items.0.qty are escaped so '#:field-error' stays a valid selector
+                    target = document.querySelector(container.replace(/:field/g, escapeSelector(errorKey)));
+                }
+
+                if (target) {
+                    target.appendChild(feedback);
+                    feedback.style.display = 'block';
+                } else {
+                    // Bootstrap only shows feedback placed right after an invalid input,
+                    // the message of a checkbox group goes after its last checkbox
+                    const fieldElements = getFieldElements(element);
+                    const lastElement = fieldElements[fieldElements.length - 1];
+                    const anchor = lastElement.closest('.input-group, .form-check') || lastElement;
+                    anchor.insertAdjacentElement('afterend', feedback);
+                    if (anchor !== element) {
+                        feedback.style.display = 'block';
+                    }
+                }
+
+                const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+                if (!describedBy.includes(feedbackId)) {
+                    describedBy.push(feedbackId);
+                }
+                element.setAttribute('aria-describedby', describedBy.join(' '));
+                element.setAttribute('aria-invalid', 'true');
+            }
+
+            this.inlineErrors.set(errorKey, { element, feedback });
+        }
+    }
+
+    /**
+     * Remove an inline error message and its aria attributes
+     * @param {string} errorKey - Error key
+     */
+    removeInlineError(errorKey) {
+        const inlineError = this.inlineErrors.get(errorKey);
+        if (!inlineError) return;
+
+        const { element, feedback } = inlineError;
+        const describedBy = (element.getAttribute('aria-describedby') || '')
+            .split(/\s+/)
+            .filter(id => id && id !== feedback.id);
+
+        if (describedBy.length > 0) {
+            element.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            element.removeAttribute('aria-describedby');
+        }
+        element.removeAttribute('aria-invalid');
+
+        feedback.remove();
+        this.inlineErrors.delete(errorKey);
+    }
+}
+
+/**
+ * Main validation function
+ * @param {HTMLElement|string} formElement - Form element or form ID
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages (optional)
+ * @param {string|Object} attributeType - Attribute type to use ('name' or 'id', default: 'name'),
+ *                                        or options { attributeType, stopOnFirstFailure }
+ * @returns {boolean} - True if validation passes
+ */
+function validationJs(formElement, rules, messages = {}, attributeType = 'name') {
+    const validator = getDefaultValidator(formElement, rules, messages, attributeType);
+    return validator.validate();
+}
+
+/**
+ * Asynchronous validation function, awaits rules that return a Promise (e.g. dimensions)
+ * @param {HTMLElement|string} formElement - Form element or form ID
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages (optional)
+ * @param {string|Object} attributeType - Attribute type to use ('name' or 'id', default: 'name'),
+ *                                        or options { attributeType, stopOnFirstFailure }
+ * @returns {Promise<boolean>} - Resolves to true if validation passes
+ */
+function validationJsAsync(formElement, rules, messages = {}, attributeType = 'name') {
+    const validator = getDefaultValidator(formElement, rules, messages, attributeType);
+    return validator.validateAsync();
+}
+
+/**
+ * Validate a plain data object (e.g. a JSON payload) without the DOM
+ * @param {Object} data - Data to validate, keys are field names
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages (optional)
+ * @param {Object} options - Options (optional): stopOnFirstFailure (stop at the first failing rule of each field, default: true)
+ * @returns {Object} - Result { isValid, errors, details } where errors maps each field to an array of messages
+ *                   and details lists every failed rule { field, index, errorKey, rule, parameters, label, message, element }
+ */
+function validationJsData(data, rules, messages = {}, options = {}) {
+    return validateDataObject(data, rules, messages, options, runFieldRules);
+}
+
+/**
+ * Asynchronous version of validationJsData(), awaits rules that return a Promise (remote, custom async rules)
+ * @param {Object} data - Data to validate, keys are field names
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages (optional)
+ * @param {Object} options - Options (optional): stopOnFirstFailure (stop at the first failing rule of each field, default: true)
+ * @returns {Promise<Object>} - Resolves to the result { isValid, errors, details } of validationJsData()
+ */
+async function validationJsDataAsync(data, rules, messages = {}, options = {}) {
+    return validateDataObject(data, rules, messages, options, runFieldRulesAsync);
+}
+
+/**
+ * Validate a data object with the rule runner of validationJsData() or validationJsDataAsync()
+ * @param {Object} data - Data to validate, keys are field names
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages
+ * @param {Object} options - Options: stopOnFirstFailure (default: true)
+ * @param {Function} runRules - runFieldRules, or runFieldRulesAsync to await asynchronous rules
+ * @returns {Object|Promise<Object>} - Result { isValid, errors, details }, a Promise with runFieldRulesAsync
+ */
+function validateDataObject(data, rules, messages, options, runRules) {
+    const { stopOnFirstFailure = true } = options;
+    
+    const getErrorResult = (error) => {
+        console.error('Validation error:', error);
+        const message = 'Validation system error: ' + error.message;
+        return {
+            isValid: false,
+            errors: { '_global': [message] },
+            details: [{ field: '_global', index: null, errorKey: '_global', rule: null, parameters: [], label: null, message, element: null }]
+        };
+    };
+    
+    try {
+        if (data === null || typeof data !== 'object') {
+            throw new Error('Data must be an object');
+        }
+        
+        if (validationDebug) {
+            console.log('Data validation started for:', data);
+            console.log('Rules:', rules);
+        }
+        
+        const runs = getDataRuns(data, rules, messages);
+        
+        // Cross-field rules look up other keys of the data object
+        const failures = mapInSequence(runs, run => {
+            if (validationDebug) {
+                console.log(`Validating data field: ${run.target.errorKey}, value:`, run.value);
+            }
+            return runRules(run.value, run.ruleArray, run.target, data, 'data', { messages }, stopOnFirstFailure);
+        });
+        
+        return isPromiseLike(failures)
+            ? failures.then(results => getDataResult(runs, results), getErrorResult)
+            : getDataResult(runs, failures);
+    } catch (error) {
+        return getErrorResult(error);
+    }
+}
+
+/**
+ * List the rule runs of a data object: the item rules of each target, then the group rules of each rule key
+ * @param {Object} data - Data object
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages
+ * @returns {Array} - Runs { target, value, ruleArray, isGroup }
+ */
+function getDataRuns(data, rules, messages) {
+    const runs = [];
+    
+    for (let fieldName in rules) {
+        const { itemRules, groupRules } = splitGroupRules(fieldName, parseRules(rules[fieldName]));
+        const targets = getDataTargets(data, fieldName, messages);
+        
+        targets.forEach(target => runs.push({ target, value: target.value, ruleArray: itemRules, isGroup: false }));
+        
+        // Rules like min_items and distinct run once on all values
+        if (groupRules.length > 0) {
+            const groupTarget = getGroupTarget(fieldName, targets, messages[fieldName] || {});
+            runs.push({ target: groupTarget, value: targets.map(target => target.value), ruleArray: groupRules, isGroup: true });
+        }
+    }
+    
+    return runs;
+}
+
+/**
+ * Build the result of a data validation from the failures of its runs
+ * @param {Array} runs - Runs from getDataRuns
+ * @param {Array} failures - Failures of each run
+ * @returns {Object} - Result { isValid, errors, details }
+ */
+function getDataResult(runs, failures) {
+    const errors = {};
+    const details = [];
+    
+    runs.forEach((run, index) => {
+        if (failures[index].length === 0) return;
+        
+        const target = run.isGroup ? getGroupErrorTarget(run.target, failures[index]) : run.target;
+        const errorDetails = getFailureDetails(target, failures[index]);
+        // The group of a wildcard key adds its messages to those of the row
+        errors[target.errorKey] = [...new Set([...(errors[target.errorKey] || []), ...getDetailMessages(errorDetails)])];
+        details.push(...errorDetails);
+    });
+    
+    const isValid = details.length === 0;
+    
+    if (validationDebug) {
+        console.log('Data validation completed. Is valid:', isValid);
+        console.log('Errors:', errors);
+    }
+    
+    return { isValid, errors, details };
+}
+
+/**
+ * Call a function on each item in order, waiting for the Promise of an item before the next one
+ * @param {Array} items - Items
+ * @param {Function} fn - Function returning a value or a Promise
+ * @returns {Array|Promise<Array>} - Results in the order of the items, a Promise once a result is a Promise
+ */
+function mapInSequence(items, fn) {
+    const results = [];
+    
+    const next = (start) => {
+        for (let index = start; index < items.length; index++) {
+            const result = fn(items[index]);
+            if (isPromiseLike(result)) {
+                return result.then(value => {
+                    results.push(value);
+                    return next(index + 1);
+                });
+            }
+            results.push(result);
+        }
+        return results;
+    };
+    
+    return next(0);
+}
+
+/**
+ * Attach live validation to a form, the touched field and the fields depending on it are validated on input, change and blur
+ * @param {HTMLElement|string} formElement - Form element or form ID
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages (optional)
+ * @param {Object} options - Options (optional):
+ *                           attributeType ('name' or 'id', default: 'name'),
+ *                           stopOnFirstFailure (stop at the first failing rule of each field, default: true),
+ *                           events (default: ['input', 'change', 'blur']),
+ *                           inlineErrors (true or inline options to render messages next to the fields),
+ *                           onValidate (callback(fieldName, isValid) called after a field is validated)
+ * @returns {Object} - Controller with validator, validate(), validateField(fieldName) and detach()
+ */
+function validationJsAttach(formElement, rules, messages = {}, options = {}) {
+    const { attributeType = 'name', stopOnFirstFailure = true, ...liveOptions } = options;
+    const validator = new Validator(formElement, rules, messages, { attributeType, stopOnFirstFailure }).attach(liveOptions);
+    
+    validationLastValidator = validator;
+    
+    return {
+        validator,
+        validate: async () => {
+            const isValid = await validator.validateAsync();
+            
+            if (liveOptions.inlineErrors) {
+                validator.getErrors('inline');
+            }
+            
+            return isValid;
+        },
+        validateField: (fieldName) => validator.validateField(fieldName),
+        detach: () => {
+            validator.detach();
+        }
+    };
+}
+
+/**
+ * Get validation errors of the last validated form
+ * @param {string} type - Error display type ('raw', 'detailed', 'toastr', 'inline')
+ * @param {string|Object} mode - Display mode ('single', 'multi'), 'all' for every message of each field with type 'raw',
+ *                               or inline options for type 'inline'
+ * @returns {Object|void} - Error messages or displays them
+ */
+function validationJsError(type = 'raw', mode = 'single') {
+    if (!validationLastValidator) {
+        if (type === 'detailed') return [];
+        return type === 'raw' ? {} : undefined;
+    }
+    
+    return validationLastValidator.getErrors(type, mode);
+}
+
+/**
+ * Get the validator validationJs() uses for a form, creating it on first use
+ * @param {HTMLElement|string} formElement - Form element or form ID
+ * @param {Object} rules - Validation rules
+ * @param {Object} messages - Custom messages
+ * @param {string|Object} attributeType - Attribute type, or options { attributeType, stopOnFirstFailure }
+ * @returns {Validator} - Validator of the form
+ */
+function getDefaultValidator(formElement, rules, messages, attributeType) {
+    let form = null;
+    try {
+        form = getFormElement(formElement);
+    } catch (error) {
+        // Validator.validate() reports the missing form
+    }
+    
+    let validator = form ? validationDefaultValidators.get(form) : null;
+    if (validator) {
+        validator.rules = rules;
+        validator.messages = messages;
+    } else {
+        validator = new Validator(form || formElement, rules, messages);
+        if (form) {
+            validationDefaultValidators.set(form, validator);
+        }
+    }
+    
+    const options = typeof attributeType === 'object' && attributeType !== null ? attributeType : { attributeType };
+    
+    // Options of a previous call do not carry over
+    validator.options.attributeType = options.attributeType || 'name';
+    validator.options.stopOnFirstFailure = options.stopOnFirstFailure !== false;
+    validator.options.debug = validationDebug;
+    
+    // validationJsError() reads the errors of the last validated form
+    validationLastValidator = validator;
+    
+    return validator;
+}
+
+/**
+ * Map each field to the rule keys that reference it (required_if, same, confirmed, etc.)
+ * @param {HTMLElement} form - Form element
+ * @param {Object} ruleArrays - Parsed rules keyed by field name
+ * @param {string} attributeType - Attribute type
+ * @returns {Object} - Referenced field name => array of dependent field names
+ */
+function getFieldDependents(form, ruleArrays, attributeType) {
+    const dependents = {};
+    const formFieldNames = new Set(
+        Array.from(form.elements || form.querySelectorAll(`[${attributeType}]`))
+            .map(element => element.getAttribute(attributeType))
+            .filter(Boolean)
+    );
+    
+    const addDependent = (referencedField, fieldName) => {
+        if (!dependents[referencedField]) {
+            dependents[referencedField] = [];
+        }
+        if (!dependents[referencedField].includes(fieldName)) {
+            dependents[referencedField].push(fieldName);
+        }
+    };
+    
+    for (let fieldName in ruleArrays) {
+        for (let rule of ruleArrays[fieldName]) {
+            if (rule.name === 'confirmed') {
+                addDependent(`${fieldName}_confirmation`, fieldName);
+            }
+            
+            // Any parameter naming another field makes this field depend on it,
+            // dotted parameters like items.*.stock match the bracket names of the form
+            for (let parameter of rule.parameters) {
+                const isFieldReference = ruleArrays[parameter]
+                    || formFieldNames.has(parameter)
+                    || (isFieldPath(parameter) && Array.from(formFieldNames).some(name => matchFieldPath(parameter, name)));
+                
+                if (isFieldReference) {
+                    addDependent(parameter, fieldName);
+                }
+            }
+        }
+    }
+    
+    return dependents;
+}
+
+/**
+ * Get form element from an element or form ID
+ * @param {HTMLElement|string} formElement - Form element or form ID
+ * @returns {HTMLElement} - Form element
+ */
+function getFormElement(formElement) {
+    const form = typeof formElement === 'string'
+        ? document.getElementById(formElement.replace('#', ''))
+        : formElement;
+    
+    if (!form) {
+        throw new Error('Form element not found');
+    }
+    
+    return form;
+}
+
+/**
+ * Get the values of a data object a rule key applies to
+ * @param {Object} data - Data object
+ * @param {string} fieldName - Field name from the rules object (may end with [])
+ * @param {Object} messages - Custom messages
+ * @returns {Array} - Array of targets { element, value, fieldName, errorKey, index, label, messages, isArray, wildcards }
+ */
+function getDataTargets(data, fieldName, messages) {
+    const fieldMessages = messages[fieldName] || {};
+    
+    // Dotted key of a nested object, unless the data has it as a flat key
+    if (isFieldPath(fieldName) && !fieldName.endsWith('[]') && !Object.prototype.hasOwnProperty.call(data, fieldName)) {
+        return getDataPathTargets(data, fieldName, fieldMessages);
+    }
+    
+    const isArrayField = fieldName.endsWith('[]');
+    const baseFieldName = isArrayField ? fieldName.slice(0, -2) : fieldName;
+    const fieldLabel = getFieldLabel(fieldName, fieldMessages);
+    const value = data[fieldName] !== undefined ? data[fieldName] : data[baseFieldName];
+    
+    // Each item of an array field is validated on its own, like [] inputs of a form
+    if (isArrayField && Array.isArray(value) && value.length > 0) {
+        return value.map((item, index) => ({
+            element: null,
+            value: item,
+            fieldName: baseFieldName,
+            errorKey: `${baseFieldName}_${index}`,
+            index,
+            label: `${fieldLabel} #${index + 1}`,
+            messages: fieldMessages,
+            isArray: true
+        }));
+    }
+    
+    // Missing keys are still validated so that required rules fail
+    return [{
+        element: null,
+        value,
+        fieldName: baseFieldName,
+        errorKey: baseFieldName,
+        index: null,
+        label: fieldLabel,
+        messages: fieldMessages,
+        isArray: false
+    }];
+}
+
+/**
+ * Get the label of a field: the custom label, the translated attribute name of the active locale,
+ * or a label built from the field name
+ * @param {string} fieldName - Field name from the rules object (may end with [])
+ * @param {Object} fieldMessages - Custom field messages
+ * @returns {string} - Field label
+ */
+function getFieldLabel(fieldName, fieldMessages = {}) {
+    const baseFieldName = fieldName.endsWith('[]') ? fieldName.slice(0, -2) : fieldName;
+    
+    return fieldMessages.label
+        || getLocaleEntry('attributes', fieldName)
+        || getLocaleEntry('attributes', baseFieldName)
+        || formatFieldLabel(baseFieldName.split('.').filter(segment => segment !== '*').join('_'));
+}
+
+/**
+ * Build a readable label from a field name (first_name => First Name)
+ * @param {string} fieldName - Field name
+ * @returns {string} - Field label
+ */
+function formatFieldLabel(fieldName) {
+    return fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+/**
+ * Check if a field name is a dotted path (address.city, items.*.qty)
+ * @param {string} fieldName - Field name
+ * @returns {boolean} - True if the name contains a dot
+ */
+function isFieldPath(fieldName) {
+    return typeof fieldName === 'string' && fieldName.includes('.');
+}
+
+/**
+ * Split a dotted or bracket field name into path segments (items.0.qty and items[0][qty] => ['items', '0', 'qty'])
+ * @param {string} fieldName - Field name
+ * @returns {Array} - Path segments, [] in a bracket name gives an empty segment
+ */
+function parseFieldPath(fieldName) {
+    const bracketIndex = fieldName.indexOf('[');
+    if (bracketIndex <= 0) {
+        return fieldName.split('.');
+    }
+    
+    const brackets = fieldName.slice(bracketIndex);
+    const keys = brackets.match(/\[[^\[\]]*\]/g) || [];
+    
+    // Not a plain bracket name, e.g. "a[b]c"
+    if (keys.join('') !== brackets) {
+        return fieldName.split('.');
+    }
+    
+    return fieldName.slice(0, bracketIndex).split('.').concat(keys.map(key => key.slice(1, -1)));
+}
+
+/**
+ * Match a field name against a dotted rule key, * matches any segment
+ * @param {string} pattern - Rule key like items.*.qty
+ * @param {string} fieldName - Dotted or bracket field name
+ * @returns {Array|null} - The segments matched by each *, or null if the name does not match
+ */
+function matchFieldPath(pattern, fieldName) {
+    const patternSegments = pattern.split('.');
+    const segments = Array.isArray(fieldName) ? fieldName : parseFieldPath(fieldName);
+    
+    if (patternSegments.length !== segments.length) {
+        return null;
+    }
+    
+    const wildcards = [];
+    for (let i = 0; i < patternSegments.length; i++) {
+        if (patternSegments[i] === '*') {
+            wildcards.push(segments[i]);
+        } else if (patternSegments[i] !== segments[i]) {
+            return null;
+        }
+    }
+    
+    return wildcards;
+}
+
+/**
+ * Replace the * segments of a dotted path with the segments of a row (items.*.stock, ['0'] => items.0.stock)
+ * @param {string} pattern - Dotted path
+ * @param {Array} wildcards - Segments from matchFieldPath
+ * @returns {string} - Path of the row
+ */
+function fillFieldPath(pattern, wildcards) {
+    let index = 0;
+    
+    return pattern.split('.').map(segment => (
+        segment === '*' && index < wildcards.length ? wildcards[index++] : segment
+    )).join('.');
+}
+
+/**
+ * Build the label and index of a row matched by a wildcard key
+ * @param {string} fieldLabel - Label of the rule key
+ * @param {Array} wildcards - Segments from matchFieldPath
+ * @returns {Object} - { label, index } where label is like "Qty #1" and index is the row number or null
+ */
+function getRowLabel(fieldLabel, wildcards) {
+    if (wildcards.length === 0) {
+        return { label: fieldLabel, index: null };
+    }
+    
+    const rows = wildcards.map(segment => (/^\d+$/.test(segment) ? Number(segment) + 1 : segment));
+    const lastSegment = wildcards[wildcards.length - 1];
+    
+    return {
+        label: `${fieldLabel} #${rows.join('.')}`,
+        index: /^\d+$/.test(lastSegment) ? Number(lastSegment) : null
+    };
+}
+
+/**
+ * Get the elements a dotted rule key applies to
+ * @param {HTMLElement} form - Form element
+ * @param {string} fieldName - Dotted rule key like address.city or items.*.qty
+ * @param {string} attributeType - Attribute type
+ * @param {Object} fieldMessages - Custom field messages
+ * @returns {Array} - Array of targets keyed by their path (items.0.qty)
+ */
+function getPathTargets(form, fieldName, attributeType, fieldMessages) {
+    const fieldLabel = getFieldLabel(fieldName, fieldMessages);
+    const occurrences = {};
+    const paths = new Set();
+    const targets = [];
+    
+    form.querySelectorAll(`[${attributeType}]`).forEach(element => {
+        const name = element.getAttribute(attributeType);
+        let segments = parseFieldPath(name);
+        
+        // items[][qty] has no index, the position among the inputs of the same name is used
+        if (segments.includes('')) {
+            const occurrence = occurrences[name] || 0;
+            occurrences[name] = occurrence + 1;
+            segments = segments.map(segment => (segment === '' ? String(occurrence) : segment));
+        }
+        
+        const wildcards = matchFieldPath(fieldName, segments);
+        const path = segments.join('.');
+        
+        // Radio buttons share a name, the first one stands for the group
+        if (!wildcards || paths.has(path)) return;
+        paths.add(path);
+        
+        targets.push({
+            element,
+            fieldName: path,
+            errorKey: path,
+            ...getRowLabel(fieldLabel, wildcards),
+            messages: fieldMessages,
+            isArray: wildcards.length > 0,
+            wildcards
+        });
+    });
+    
+    return targets;
+}
+
+/**
+ * Get the values of a data object a dotted rule key applies to
+ * @param {Object} data - Data object
+ * @param {string} fieldName - Dotted rule key like address.city or items.*.qty
+ * @param {Object} fieldMessages - Custom field messages
+ * @returns {Array} - Array of targets keyed by their path (items.0.qty)
+ */
+function getDataPathTargets(data, fieldName, fieldMessages) {
+    const fieldLabel = getFieldLabel(fieldName, fieldMessages);
+    let entries = [{ segments: [], wildcards: [], value: data }];
+    
+    for (let segment of fieldName.split('.')) {
+        const nextEntries = [];
+        
+        entries.forEach(entry => {
+            const isObject = entry.value !== null && typeof entry.value === 'object';
+            
+            if (segment === '*') {
+                // Rows of an array or object, nothing to validate when it is missing or empty
+                if (!isObject) return;
+                Object.keys(entry.value).forEach(key => nextEntries.push({
+                    segments: [...entry.segments, key],
+                    wildcards: [...entry.wildcards, key],
+                    value: entry.value[key]
+                }));
+            } else {
+                // A missing segment gives undefined, like a missing flat key
+                nextEntries.push({
+                    segments: [...entry.segments, segment],
+                    wildcards: entry.wildcards,
+                    value: isObject ? entry.value[segment] : undefined
+                });
+            }
+        });
+        
+        entries = nextEntries;
+    }
+    
+    return entries.map(entry => {
+        const path = entry.segments.join('.');
+        
+        return {
+            element: null,
+            value: entry.value,
+            fieldName: path,
+            errorKey: path,
+            ...getRowLabel(fieldLabel, entry.wildcards),
+            messages: fieldMessages,
+            isArray: entry.wildcards.length > 0,
+            wildcards: entry.wildcards
+        };
+    });
+}
+
+/**
+ * Check if a rule key applies to a group of elements (tags[], items.*.email)
+ * @param {string} fieldName - Field name from the rules object
+ * @returns {boolean} - True for array fields and wildcard keys
+ */
+function isGroupField(fieldName) {
+    return fieldName.endsWith('[]') || (isFieldPath(fieldName) && fieldName.split('.').includes('*'));
+}
+
+/**
+ * Get the error key of the group rules of a rule key, the path before its first wildcard (tags[] => tags, items.*.email => items)
+ * @param {string} fieldName - Field name from the rules object
+ * @returns {string} - Base field name
+ */
+function getGroupKey(fieldName) {
+    if (fieldName.endsWith('[]')) return fieldName.slice(0, -2);
+    
+    const segments = fieldName.split('.');
+    const wildcardIndex = segments.indexOf('*');
+    
+    return wildcardIndex > 0 ? segments.slice(0, wildcardIndex).join('.') : fieldName;
+}
+
+/**
+ * Separate the rules that run on each element from those that run once on the group (min_items, distinct, etc.)
+ * @param {string} fieldName - Field name from the rules object
+ * @param {Array} ruleArray - Parsed rules
+ * @returns {Object} - { itemRules, groupRules }, groupRules is empty for single fields
+ */
+function splitGroupRules(fieldName, ruleArray) {
+    if (!isGroupField(fieldName)) {
+        return { itemRules: ruleArray, groupRules: [] };
+    }
+    
+    const groupRules = ruleArray.filter(rule => validationGroupRules.includes(rule.name));
+    if (groupRules.length > 0 && hasBailRule(ruleArray)) {
+        groupRules.unshift({ name: 'bail', parameters: [] });
+    }
+    
+    return {
+        itemRules: ruleArray.filter(rule => !validationGroupRules.includes(rule.name)),
+        groupRules
+    };
+}
+
+/**
+ * Build the target the group rules of a rule key report to
+ * @param {string} fieldName - Field name from the rules object
+ * @param {Array} targets - Targets of the elements
+ * @param {Object} fieldMessages - Custom field messages
+ * @returns {Object} - Target keyed by the base field name, with the first element of the group
+ */
+function getGroupTarget(fieldName, targets, fieldMessages) {
+    const groupKey = getGroupKey(fieldName);
+    
+    return {
+        element: targets.length > 0 ? targets[0].element : null,
+        fieldName: groupKey,
+        errorKey: groupKey,
+        index: null,
+        label: getFieldLabel(fieldName, fieldMessages),
+        messages: fieldMessages,
+        isArray: false,
+        wildcards: [],
+        ruleKey: fieldName,
+        // The errors of a wildcard inside the key (items.*.email) go to a row, or to the base name without rows
+        rows: fieldName.replace(/(\.\*)+$/, '').split('.').includes('*') ? targets : null
+    };
+}
+
+/**
+ * Resolve the target the group failures are stored under, a wildcard group reports to the row of the
+ * failure (the duplicate of distinct) or else to its first row (items.*.email => items.0.email), without rows to its base name
+ * @param {Object} target - Target from getGroupTarget
+ * @param {Array} failures - Failures from runFieldRules
+ * @returns {Object} - Target with the element and error key of the row
+ */
+function getGroupErrorTarget(target, failures) {
+    if (!target.rows || target.rows.length === 0 || failures.length === 0) {
+        return target;
+    }
+    
+    const failure = failures.find(item => item.result && Number.isInteger(item.result.index));
+    const row = target.rows[failure ? failure.result.index : 0] || target.rows[0];
+    
+    return {
+        ...target,
+        element: row.element,
+        errorKey: row.errorKey,
+        index: row.index
+    };
+}
+
+/**
+ * Resolve the wildcard parameters of a rule to the row of the target (lte:items.*.stock => lte:items.0.stock)
+ * @param {Object} rule - Rule object
+ * @param {Object} target - Target from getFieldTargets
+ * @returns {Object} - Rule object with the parameters of the row
+ */
+function resolveRowRule(rule, target) {
+    const wildcards = target.wildcards || [];
+    
+    // Regex patterns may contain .*
+    if (wildcards.length === 0 || rule.name === 'regex') {
+        return rule;
+    }
+    
+    return {
+        ...rule,
+        parameters: rule.parameters.map(parameter => (
+            isFieldPath(parameter) && parameter.split('.').includes('*') ? fillFieldPath(parameter, wildcards) : parameter
+        ))
+    };
+}
+
+/**
+ * Run the rules of a target, asynchronous rules cannot be awaited and fail as pending
+ * @param {*} fieldValue - Field value
+ * @param {Array} ruleArray - Parsed rules
+ * @param {Object} target - Target from getFieldTargets
+ * @param {HTMLElement} form - Form element
+ * @param {string} attributeType - Attribute type
+ * @param {Object} context - Validation context passed to the rules
+ * @param {boolean} stopOnFirstFailure - Stop at the first failing rule (the bail rule does the same for one field)
+ * @returns {Array} - Failures { rule, result, placeholders }, empty if all rules pass
+ */
+function runFieldRules(fieldValue, ruleArray, target, form, attributeType, context = {}, stopOnFirstFailure = true) {
+    const ruleContext = { fieldName: target.fieldName, dateFormat: getDateFormat(ruleArray), dateTimezone: getDateTimezone(ruleArray), ...context };
+    const bail = stopOnFirstFailure || hasBailRule(ruleArray);
+    const failures = [];
+    
+    for (let rule of ruleArray.map(rowRule => resolveRowRule(rowRule, target))) {
+        const result = validateRuleSync(fieldValue, rule, target.element, form, attributeType, ruleContext);
+        
+        // An answer that is not there yet must not count as a pass
+        if (result === null || isPromiseLike(result)) {
+            // Nobody waits for the dropped Promise, its rejection is reported here
+            if (result) {
+                Promise.resolve(result).catch(error => console.error(`Error validating rule ${rule.name}:`, error));
+            }
+            
+            const pendingRule = { name: 'pending', parameters: [rule.name] };
+            failures.push({ rule: pendingRule, result: { valid: false }, placeholders: getRulePlaceholders(fieldValue, pendingRule, form, attributeType, ruleContext) });
+            if (bail) break;
+            continue;
+        }
+        
+        if (!result.valid) {
+            failures.push({ rule, result, placeholders: getRulePlaceholders(fieldValue, rule, form, attributeType, ruleContext) });
+            if (bail) break;
+        }
+    }
+    
+    return failures;
+}
+
+/**
+ * Run the rules of a target one after another, awaiting asynchronous rules
+ * @param {*} fieldValue - Field value
+ * @param {Array} ruleArray - Parsed rules
+ * @param {Object} target - Target from getFieldTargets
+ * @param {HTMLElement} form - Form element
+ * @param {string} attributeType - Attribute type
+ * @param {Object} context - Validation context passed to the rules
+ * @param {boolean} stopOnFirstFailure - Stop at the first failing rule (the bail rule does the same for one field)
+ * @returns {Promise<Array>} - Failures { rule, result, placeholders }, empty if all rules pass
+ */
+async function runFieldRulesAsync(fieldValue, ruleArray, target, form, attributeType, context = {}, stopOnFirstFailure = true) {
+    const ruleContext = { fieldName: target.fieldName, dateFormat: getDateFormat(ruleArray), dateTimezone: getDateTimezone(ruleArray), ...context };
+    const bail = stopOnFirstFailure || hasBailRule(ruleArray);
+    const failures = [];
+    
+    for (let rule of ruleArray.map(rowRule => resolveRowRule(rowRule, target))) {
+        let result;
+        try {
+            result = await validateRule(fieldValue, rule, target.element, form, attributeType, ruleContext);
+        } catch (error) {
+            console.error(`Error validating rule ${rule.name}:`, error);
+            result = { valid: false, message: getRuleErrorMessage(rule.name) };
+        }
+        
+        if (!result.valid) {
+            failures.push({ rule, result, placeholders: getRulePlaceholders(fieldValue, rule, form, attributeType, ruleContext) });
+            if (bail) break;
+        }
+    }
+    
+    return failures;
+}
+
+/**
+ * Describe each failed rule of a target
+ * @param {Object} target - Target from getFieldTargets
+ * @param {Array} failures - Failures from runFieldRules
+ * @returns {Array} - Error details { field, index, errorKey, rule, parameters, label, message, element }
+ */
+function getFailureDetails(target, failures) {
+    return failures.map(failure => ({
+        field: target.fieldName,
+        index: target.index,
+        errorKey: target.errorKey,
+        rule: failure.rule.name,
+        parameters: [...failure.rule.parameters],
+        label: target.label,
+        message: getErrorMessage(target.fieldName, failure.rule, target.messages, target.label, failure.result.message,
+            { ...failure.placeholders, ...failure.result.placeholders }),
+        element: target.element
+    }));
+}
+
+/**
+ * Get the named placeholders of a failed rule: :value for the input, :other for the label of a field the rule refers to,
+ * and the placeholders each rule declares from its parameters (:format, :date, :digits, :size, :values, ...)
+ * @param {*} value - Field value
+ * @param {Object} rule - Rule object
+ * @param {HTMLElement|Object} form - Form element or data object
+ * @param {string} attributeType - Attribute type
+ * @param {Object} context - Validation context, its messages provide the labels of other fields
+ * @returns {Object} - Placeholder values by name
+ */
+function getRulePlaceholders(value, rule, form, attributeType, context = {}) {
+    const { name, parameters } = rule;
+    const messages = context.messages || {};
+    const getLabel = (fieldName) => getFieldLabel(fieldName, messages[fieldName]);
+    const placeholders = { value: formatPlaceholderValue(value) };
+    
+    // :min and :max are the first and second (or first) parameter of every rule, named placeholders below refine them
+    if (parameters.length > 0) {
+        Object.assign(placeholders, { min: parameters[0], max: parameters.length > 1 ? parameters[1] : parameters[0] });
+    }
+    
+    switch (name) {
+        case 'min':
+        case 'min_length':
+        case 'min_items':
+        case 'min_files':
+        case 'duration_min':
+            placeholders.min = parameters[0];
+            break;
+        case 'max':
+        case 'max_length':
+        case 'max_items':
+        case 'max_files':
+        case 'duration_max':
+            placeholders.max = parameters[0];
+            break;
+        case 'between':
+        case 'digits_between':
+            Object.assign(placeholders, { min: parameters[0], max: parameters[1], min_value: parameters[0], max_value: parameters[1] });
+            break;
+        case 'digits':
+            placeholders.digits = parameters[0];
+            break;
+        case 'decimal':
+            placeholders.places = parameters.length > 1 ? `${parameters[0]} to ${parameters[1]}` : parameters[0];
+            break;
+        case 'size':
+        case 'min_size':
+        case 'total_size':
+            // validateSize() defaults to 4MB
+            placeholders.size = formatFileSize(parameters[0] === undefined ? '4' : parameters[0]);
+            break;
+        case 'date_format':
+            // Formats may contain commas, the parameters are put back together
+            placeholders.format = parameters.join(',');
+            break;
+        case 'after':
+        case 'before':
+        case 'after_or_equal':
+        case 'before_or_equal':
+            if (getOtherField(form, parameters[0], attributeType)) {
+                placeholders.other = placeholders.date = getLabel(parameters[0]);
+            } else {
+                placeholders.date = parameters[0];
+            }
+            break;
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte': {
+            // :value is the value compared with, the other field's when the parameter names one
+            const compareField = getOtherField(form, parameters[0], attributeType);
+            if (compareField) {
+                placeholders.other = getLabel(parameters[0]);
+                placeholders.value = formatPlaceholderValue(compareField.value);
+            } else {
+                placeholders.value = parameters[0];
+            }
+            break;
+        }
+        case 'same':
+        case 'different':
+            placeholders.other = getLabel(parameters[0]);
+            break;
+        case 'required_if':
+        case 'required_unless':
+            Object.assign(placeholders, { other: getLabel(parameters[0]), values: parameters.slice(2).join(', ') });
+            break;
+        case 'required_with':
+            placeholders.values = parameters.map(getLabel).join(', ');
+            break;
+        case 'mimes':
+            placeholders.values = getMimesExtensions(parameters).join(', ');
+            break;
+        case 'mimetypes':
+        case 'in':
+        case 'not_in':
+        case 'contains':
+        case 'doesnt_contain':
+        case 'day_in':
+        case 'audio_channels':
+            placeholders.values = parameters.join(', ');
+            break;
+        case 'min_lead_days':
+        case 'max_lead_days':
+            placeholders.days = parameters[0];
+            break;
+        case 'pending':
+            placeholders.rule = parameters[0];
+            break;
+        case 'dimensions':
+        case 'video_dimensions':
+            Object.assign(placeholders, parseDimensionConstraints(parameters));
+            break;
+    }
+    
+    return placeholders;
+}
+
+/**
+ * Format a field value for the :value placeholder
+ * @param {*} value - Field value, files are listed by name
+ * @returns {string} - Readable value
+ */
+function formatPlaceholderValue(value) {
+    if (value === null || value === undefined) return '';
+    
+    const files = getFiles(value);
+    if (files && files.length > 0) {
+        return files.map(file => file.name).join(', ');
+    }
+    
+    if (Array.isArray(value)) {
+        return value.map(formatPlaceholderValue).join(', ');
+    }
+    
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Get the messages of error details, rules failing with the same message (e.g. two regex rules) are reported once
+ * @param {Array} errorDetails - Error details from getFailureDetails
+ * @returns {Array} - Error messages
+ */
+function getDetailMessages(errorDetails) {
+    return [...new Set(errorDetails.map(detail => detail.message))];
+}
+
+/**
+ * Check if the rules of a field contain the bail rule
+ * @param {Array} ruleArray - Parsed rules
+ * @returns {boolean} - True if validation of the field stops at the first failure
+ */
+function hasBailRule(ruleArray) {
+    return ruleArray.some(rule => rule.name === 'bail');
+}
+
+/**
+ * Get the format declared with the date_format rule of a field
+ * @param {Array} ruleArray - Parsed rules
+ * @returns {string|null} - Date format, null if the field has no date_format rule
+ */
+function getDateFormat(ruleArray) {
+    const rule = ruleArray.find(rule => rule.name === 'date_format');
+    
+    // Formats such as 'F j, Y' are split on the comma by the rule parser
+    return rule && rule.parameters.length > 0 ? rule.parameters.join(',') : null;
+}
+
+/**
+ * Get the timezone declared with the date_timezone rule of a field
+ * @param {Array} ruleArray - Parsed rules
+ * @returns {string|null} - Timezone or name of the field holding it, null if the field has no date_timezone rule
+ */
+function getDateTimezone(ruleArray) {
+    const rule = ruleArray.find(rule => rule.name === 'date_timezone');
+    
+    return rule && rule.parameters.length > 0 ? rule.parameters[0] : null;
+}
+
+/**
+ * Check if a value is a Promise (or thenable)
+ * @param {*} value - The value to check
+ * @returns {boolean} - True if the value has a then() method
+ */
+function isPromiseLike(value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function';
+}
+
+/**
+ * Enable/disable debug mode
+ * @param {boolean} enable - Enable debug mode
+ */
+function validationJsDebug(enable = true) {
+    validationDebug = enable;
+}
+
+/**
+ * Register a custom validation rule
+ * @param {string} name - Rule name used in rule strings (e.g. 'phone_my')
+ * @param {Function} fn - Rule function (value, parameters, element, form, attributeType) returning
+ *                        a boolean, a result object { valid, message } or a Promise of either
+ * @param {string} defaultMessage - Default error message, supports the same placeholders as custom messages
+ */
+function validationJsExtend(name, fn, defaultMessage = '') {
+    if (typeof name !== 'string' || name.trim() === '' || /[|:]/.test(name)) {
+        throw new Error('Custom rule name must be a non-empty string without "|" or ":"');
+    }
+    
+    if (typeof fn !== 'function') {
+        throw new Error(`Custom rule "${name}" must be a function`);
+    }
+    
+    validationCustomRules[name.trim()] = { name: name.trim(), fn, message: defaultMessage };
+    
+    if (validationDebug) {
+        console.log(`Custom rule registered: ${name}`);
+    }
+}
+
+/**
+ * Configure the remote rule
+ * @param {Object} options - Settings to merge:
+ *                           method ('GET' or 'POST'), headers, credentials,
+ *                           debounce (ms, used by live validation), fetch (custom fetch implementation)
+ * @returns {Object} - Current remote settings
+ */
+function validationJsRemote(options = {}) {
+    Object.assign(validationRemoteSettings, options);
+    return { ...validationRemoteSettings };
+}
+
+/**
+ * Register a message catalog, or switch the active locale
+ * @param {string} locale - Locale name (e.g. 'ms', 'ar'), omit to get the active locale
+ * @param {Object} catalog - Catalog to merge into the locale (optional):
+ *                           messages (default message per rule name, with :attribute, :min, :max, :values placeholders),
+ *                           attributes (translated label per field name).
+ *                           Without a catalog the locale becomes the active one
+ * @returns {string} - Active locale
+ */
+function validationJsLocale(locale, catalog) {
+    if (locale === undefined) {
+        return validationLocale;
+    }
+    
+    if (typeof locale !== 'string' || locale.trim() === '') {
+        throw new Error('Locale must be a non-empty string');
+    }
+    
+    locale = locale.trim();
+    
+    if (catalog === undefined) {
+        validationLocale = locale;
+        
+        if (validationDebug && locale !== 'en' && !validationLocales[locale] && !validationLocales[locale.split('-')[0]]) {
+            console.warn(`No messages registered for locale "${locale}", English messages are used`);
+        }
+        
+        return validationLocale;
+    }
+    
+    if (catalog === null || typeof catalog !== 'object') {
+        throw new Error('Locale catalog must be an object with messages and/or attributes');
+    }
+    
+    if (!validationLocales[locale]) {
+        validationLocales[locale] = { messages: {}, attributes: {} };
+    }
+    
+    Object.assign(validationLocales[locale].messages, catalog.messages || {});
+    Object.assign(validationLocales[locale].attributes, catalog.attributes || {});
+    
+    if (validationDebug) {
+        console.log(`Messages registered for locale: ${locale}`);
+    }
+    
+    return validationLocale;
+}
+
+/**
+ * Register a holiday calendar for the not_holiday and business_day rules, replacing a calendar with the same name
+ * @param {string} name - Calendar name used in rule strings (e.g. 'my_holidays'), 'default' is used by business_day without parameters
+ * @param {Array|Function} holidays - Dates as 'Y-m-d' strings or Date objects, 'm-d' strings for holidays on the same day every year,
+ *                                    or a function (isoDate) => boolean receiving the day as 'Y-m-d'
+ */
+function validationJsHolidays(name, holidays) {
+    if (typeof name !== 'string' || name.trim() === '' || /[|:,]/.test(name)) {
+        throw new Error('Holiday calendar name must be a non-empty string without "|", ":" or ","');
+    }
+    
+    if (typeof holidays !== 'function' && !Array.isArray(holidays)) {
+        throw new Error(`Holidays of calendar "${name}" must be an array of dates or a function`);
+    }
+    
+    const dates = new Set();
+    (Array.isArray(holidays) ? holidays : []).forEach(holiday => {
+        const date = holiday instanceof Date
+            ? `${holiday.getFullYear()}-${String(holiday.getMonth() + 1).padStart(2, '0')}-${String(holiday.getDate()).padStart(2, '0')}`
+            : String(holiday).trim();
+        
+        if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`Invalid holiday "${holiday}" in calendar "${name}", use 'Y-m-d' or 'm-d'`);
+        }
+        dates.add(date);
+    });
+    
+    validationHolidays[name.trim()] = { dates, fn: typeof holidays === 'function' ? holidays : null };
+    
+    if (validationDebug) {
+        console.log(`Holiday calendar registered: ${name}`);
+    }
+}
+
+/**
+ * Look up a message or attribute name in the active locale, then its base language (ms-MY => ms), then English
+ * @param {string} group - Catalog group ('messages' or 'attributes')
+ * @param {string} key - Rule name or field name
+ * @returns {string|undefined} - Registered entry
+ */
+function getLocaleEntry(group, key) {
+    const locales = [validationLocale, validationLocale.split('-')[0], 'en'];
+    
+    for (let locale of locales) {
+        const catalog = validationLocales[locale];
+        if (catalog && Object.prototype.hasOwnProperty.call(catalog[group], key)) {
+            return catalog[group][key];
+        }
+    }
+    
+    return undefined;
 }
 
 /**
- * Get validation errors
- * @param {string} type - Error display type ('raw', 'toastr')
- * @param {string} mode - Display mode ('single', 'multi')
- * @returns {Object|void} - Error messages or displays them
+ * Get the message of a rule variant (dimensions_max_width, mimetypes_mismatch) returned with a rule result
+ * The variant of the locale comes first, the English variant only when the locale does not translate the rule itself
+ * @param {string} name - Rule name
+ * @param {string} variant - Variant name
+ * @returns {string|undefined} - Message, undefined to use the message of the rule
  */
-function validationJsError(type = 'raw', mode = 'single') {
-    const errorMessages = {};
+function getVariantMessage(name, variant) {
+    const key = `${name}_${variant}`;
     
-    // Flatten errors
-    for (let field in validationErrors) {
-        if (validationErrors[field].length > 0) {
-            errorMessages[field] = validationErrors[field][0]; // Get first error for each field
+    return getLocaleEntry('messages', key) || (getLocaleEntry('messages', name) ? undefined : validationDefaultMessages[key]);
+}
+
+/**
+ * Get a message of the catalog that is not tied to the failing rule (date_timezone), from the active locale or English
+ * @param {string} key - Message key
+ * @returns {string} - Message
+ */
+function getCatalogMessage(key) {
+    return getLocaleEntry('messages', key) || validationDefaultMessages[key];
+}
+
+/**
+ * Get the message of a rule that threw or rejected: its error variant of the active locale, the message of the rule
+ * when the locale has one, or the error message of the catalog
+ * @param {string} name - Rule name
+ * @returns {string|undefined} - Message, undefined to use the message of the rule
+ */
+function getRuleErrorMessage(name) {
+    return getVariantMessage(name, 'error') || (getLocaleEntry('messages', name) ? undefined : getCatalogMessage('error'));
+}
+
+/**
+ * Run a custom rule and normalize its return value into a result object
+ * @param {Object} customRule - Registered custom rule
+ * @param {*} value - Field value
+ * @param {Array} parameters - Rule parameters
+ * @param {HTMLElement} element - Form element
+ * @param {HTMLElement} form - Form element
+ * @param {string} attributeType - Attribute type
+ * @returns {Object|Promise<Object>} - Validation result
+ */
+function runCustomRule(customRule, value, parameters, element, form, attributeType) {
+    const normalizeResult = (result) => {
+        if (result !== null && typeof result === 'object') {
+            return { ...result, valid: !!result.valid };
         }
-    }
+        return { valid: !!result };
+    };
     
-    if (type === 'raw') {
-        return errorMessages;
-    }
+    const result = customRule.fn(value, parameters, element, form, attributeType);
     
-    // For demonstration purposes, we'll show errors in a div instead of toastr
-    if (type === 'toastr') {
-        showToastrErrors(errorMessages, mode);
-        return;
+    if (!isPromiseLike(result)) {
+        return normalizeResult(result);
     }
     
-    return errorMessages;
-}
-
-/**
- * Enable/disable debug mode
- * @param {boolean} enable - Enable debug mode
- */
-function validationJsDebug(enable = true) {
-    validationDebug = enable;
+    // A rejected rule fails the field instead of leaving an unhandled rejection
+    return Promise.resolve(result).then(normalizeResult, error => {
+        console.error('Error in custom rule validation:', error);
+        return { valid: false, message: getRuleErrorMessage(customRule.name) };
+    });
 }
 
 /**
@@ -221,6 +2265,11 @@ function getFieldValue(element) {
     if (elemType === 'file') {
         return element.files;
     } else if (elemType === 'checkbox') {
+        // Checkboxes sharing a name form a group, its value is the array of checked values like a multi-select
+        const group = getCheckboxGroup(element);
+        if (group.length > 1) {
+            return group.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value || '1');
+        }
         return element.checked ? element.value || '1' : '';
     } else if (elemType === 'radio') {
         const form = element.closest('form');
@@ -239,22 +2288,233 @@ function getFieldValue(element) {
 }
 
 /**
- * Parse rule string into array of rule objects
- * @param {string} rulesString - Rules string like "required|string|min:5"
- * @returns {Array} - Array of rule objects
+ * Get the checkboxes sharing the name of a checkbox, name[] checkboxes are validated one by one and stay single
+ * @param {HTMLElement} element - Checkbox element
+ * @returns {Array} - Checkboxes of the group, or just the element
  */
-function parseRules(rulesString) {
-    if (typeof rulesString !== 'string') {
-        return [];
+function getCheckboxGroup(element) {
+    const form = element.form || element.closest('form');
+    const name = element.getAttribute('name');
+    
+    if (!form || !name || name.endsWith('[]')) {
+        return [element];
     }
     
-    return rulesString.split('|').map(rule => {
-        const parts = rule.split(':');
-        const name = parts[0];
-        const parameters = parts.slice(1).join(':').split(',').filter(p => p !== '');
+    return Array.from(form.querySelectorAll('input[type="checkbox"]'))
+        .filter(checkbox => checkbox.getAttribute('name') === name);
+}
+
+/**
+ * Get the elements that share the validation classes of a field, all checkboxes of a group
+ * @param {HTMLElement} element - Form element
+ * @returns {Array} - Elements of the field
+ */
+function getFieldElements(element) {
+    return element && element.type === 'checkbox' ? getCheckboxGroup(element) : [element];
+}
+
+/**
+ * Find another field referenced by a rule and read its value
+ * @param {HTMLElement|Object} form - Form element, or the data object when attributeType is 'data'
+ * @param {string} fieldName - Name of the other field
+ * @param {string} attributeType - Attribute type ('name', 'id' or 'data')
+ * @returns {Object|null} - { element, value } or null if the field does not exist
+ */
+function getOtherField(form, fieldName, attributeType) {
+    if (fieldName === undefined || fieldName === null || fieldName === '') return null;
+    
+    if (attributeType === 'data') {
+        if (Object.prototype.hasOwnProperty.call(form, fieldName)) {
+            return { element: null, value: form[fieldName] };
+        }
         
-        return { name, parameters };
-    });
+        // Dotted path of a nested object (items.0.stock)
+        if (!isFieldPath(fieldName)) return null;
+        
+        let value = form;
+        for (let segment of fieldName.split('.')) {
+            if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+                return null;
+            }
+            value = value[segment];
+        }
+        return { element: null, value };
+    }
+    
+    let element = form.querySelector(`[${attributeType}="${fieldName}"]`);
+    
+    // Dotted path of a bracket name (items.0.stock => items[0][stock])
+    if (!element && isFieldPath(fieldName)) {
+        const [head, ...keys] = fieldName.split('.');
+        element = form.querySelector(`[${attributeType}="${head}${keys.map(key => `[${key}]`).join('')}"]`);
+    }
+    
+    return element ? { element, value: getFieldValue(element) } : null;
+}
+
+/**
+ * Parse the rules of a field into array of rule objects
+ * @param {string|Array|Object} rules - Rules string like "required|string|min:5",
+ *                                      array like ['required', 'regex:/a|b/', fn],
+ *                                      or object like { required: true, min: 5, in: ['a', 'b'] }
+ * @returns {Array} - Array of rule objects { name, parameters }, inline rules also carry fn
+ */
+function parseRules(rules) {
+    if (typeof rules === 'string') {
+        return splitRulesString(rules).map(parseRuleString);
+    }
+    
+    if (Array.isArray(rules)) {
+        const ruleArray = [];
+        
+        rules.forEach(rule => {
+            if (typeof rule === 'string') {
+                // One rule per item, so a regex may contain |
+                ruleArray.push(parseRuleString(rule));
+            } else if (typeof rule === 'function') {
+                ruleArray.push({ name: rule.name || 'closure', parameters: [], fn: rule });
+            } else if (rule instanceof RegExp) {
+                ruleArray.push({ name: 'regex', parameters: [String(rule)] });
+            } else if (rule !== null && typeof rule === 'object') {
+                ruleArray.push(...parseRules(rule));
+            } else if (rule !== false && rule !== null && rule !== undefined) {
+                // false/null items allow conditional rules like isBusiness && 'required'
+                console.warn('Unsupported rule definition skipped:', rule);
+            }
+        });
+        
+        return ruleArray;
+    }
+    
+    if (rules !== null && typeof rules === 'object') {
+        const ruleArray = [];
+        
+        for (let name in rules) {
+            const parameters = rules[name];
+            
+            // false/null/undefined leave the rule out, true adds it without parameters
+            if (parameters === false || parameters === null || parameters === undefined) continue;
+            
+            if (typeof parameters === 'function') {
+                ruleArray.push({ name, parameters: [], fn: parameters });
+            } else if (parameters === true) {
+                ruleArray.push({ name, parameters: [] });
+            } else if (Array.isArray(parameters)) {
+                ruleArray.push({ name, parameters: parameters.map(String) });
+            } else if (parameters instanceof RegExp) {
+                ruleArray.push({ name, parameters: [String(parameters)] });
+            } else {
+                ruleArray.push({ name, parameters: parseRuleParameters(name, String(parameters)) });
+            }
+        }
+        
+        return ruleArray;
+    }
+    
+    if (rules !== undefined && rules !== null) {
+        console.warn('Unsupported rules definition, expected a string, an array or an object:', rules);
+    }
+    
+    return [];
+}
+
+/**
+ * Split a rules string on |, keeping a regex pattern that contains | in one piece
+ * @param {string} rulesString - Rules string like "required|regex:/^(a|b)$/"
+ * @returns {Array} - Rule strings
+ */
+function splitRulesString(rulesString) {
+    const parts = rulesString.split('|');
+    const rules = [];
+    
+    for (let i = 0; i < parts.length; i++) {
+        let rule = parts[i];
+        
+        if (rule.startsWith('regex:/')) {
+            // Join the following parts up to the closing delimiter, an unclosed pattern is left as is
+            for (let j = i; j < parts.length; j++) {
+                const joined = parts.slice(i, j + 1).join('|');
+                if (/^regex:\/[\s\S]*(?<!\\)\/[a-z]*$/.test(joined)) {
+                    rule = joined;
+                    i = j;
+                    break;
+                }
+            }
+        }
+        
+        rules.push(rule);
+    }
+    
+    return rules;
+}
+
+/**
+ * Parse a single rule string like "min:5" or "regex:/^\d{2,4}$/"
+ * @param {string} rule - Rule string
+ * @returns {Object} - Rule object { name, parameters }
+ */
+function parseRuleString(rule) {
+    const separatorIndex = rule.indexOf(':');
+    
+    if (separatorIndex === -1) {
+        return { name: rule, parameters: [] };
+    }
+    
+    const name = rule.slice(0, separatorIndex);
+    return { name, parameters: parseRuleParameters(name, rule.slice(separatorIndex + 1)) };
+}
+
+/**
+ * Split the parameters of a rule on commas, a regex pattern is kept whole
+ * @param {string} name - Rule name
+ * @param {string} parameterString - Parameters like "1,10"
+ * @returns {Array} - Parameters
+ */
+function parseRuleParameters(name, parameterString) {
+    if (name === 'regex') {
+        return parameterString === '' ? [] : [parameterString];
+    }
+    
+    return parameterString.split(',').filter(p => p !== '');
+}
+
+/**
+ * Check if a rule reads the content of the selected files, mimes only does with its content parameter
+ * @param {Object} rule - Rule object
+ * @returns {boolean} - True if the rule needs asynchronous file reads
+ */
+function isFileContentRule(rule) {
+    return validationFileContentRules.includes(rule.name) || (rule.name === 'mimes' && rule.parameters.includes('content'));
+}
+
+/**
+ * Validate a single rule without starting asynchronous work: the remote rule answers from its last response,
+ * and rules reading the content of selected files are left for validationJsAsync()
+ * @param {*} value - Field value
+ * @param {Object} rule - Rule object
+ * @param {HTMLElement} element - Form element
+ * @param {HTMLElement} form - Form element
+ * @param {string} attributeType - Attribute type
+ * @param {Object} context - Validation context
+ * @returns {Object|Promise<Object>|null} - Validation result, a Promise of a custom rule, or null if the answer needs asynchronous work
+ */
+function validateRuleSync(value, rule, element, form, attributeType, context = {}) {
+    const isBuiltIn = typeof rule.fn !== 'function' && !validationCustomRules[rule.name];
+    
+    if (isBuiltIn && rule.name === 'remote') {
+        return getRemoteResult(value, rule.parameters, element, form, attributeType, context);
+    }
+    
+    if (isBuiltIn && isFileContentRule(rule)) {
+        const files = getFiles(value);
+        if (value && files && files.length > 0) {
+            // The extensions of mimes:...,content are known without reading the files
+            const extensionResult = rule.name === 'mimes' ? checkFileExtensions(files, getMimesExtensions(rule.parameters)) : { valid: true };
+            return extensionResult.valid ? null : extensionResult;
+        }
+    }
+    
+    return validateRule(value, rule, element, form, attributeType, context);
 }
 
 /**
@@ -264,12 +2524,30 @@ function parseRules(rulesString) {
  * @param {HTMLElement} element - Form element
  * @param {HTMLElement} form - Form element
  * @param {string} attributeType - Attribute type
- * @returns {Object} - Validation result
+ * @param {Object} context - Validation context (optional, e.g. { live: true } for live validation)
+ * @returns {Object|Promise<Object>} - Validation result
  */
-function validateRule(value, rule, element, form, attributeType) {
+function validateRule(value, rule, element, form, attributeType, context = {}) {
     const { name, parameters } = rule;
+    const timezone = context.dateTimezone ? resolveDateTimezone(context.dateTimezone, form, attributeType) : null;
     
     try {
+        // Inline rules from array or object rules (functions)
+        if (typeof rule.fn === 'function') {
+            return runCustomRule(rule, value, parameters, element, form, attributeType);
+        }
+        
+        // Custom rules take precedence so built-in rules can be overridden
+        if (validationCustomRules[name]) {
+            return runCustomRule(validationCustomRules[name], value, parameters, element, form, attributeType);
+        }
+        
+        // An unknown timezone fails the date rules instead of reading the date in local time
+        if (timezone && validationTimezoneRules.includes(name) && value !== '' && value !== null && value !== undefined
+            && getZoneOffset(timezone, new Date()) === undefined) {
+            return { valid: false, message: getCatalogMessage('date_timezone') };
+        }
+        
         switch (name) {
             case 'required':
                 return validateRequired(value, element);
@@ -306,9 +2584,24 @@ function validateRule(value, rule, element, form, attributeType) {
             case 'size':
                 return validateSize(value, parameters, element);
             
+            case 'min_size':
+                return validateMinSize(value, parameters);
+            
+            case 'total_size':
+                return validateTotalSize(value, parameters);
+            
+            case 'min_files':
+                return validateMinFiles(value, parameters);
+            
+            case 'max_files':
+                return validateMaxFiles(value, parameters);
+            
             case 'mimes':
                 return validateMimes(value, parameters);
             
+            case 'mimetypes':
+                return validateMimeTypes(value, parameters);
+            
             case 'min':
                 return validateMin(value, parameters, element);
             
@@ -319,25 +2612,46 @@ function validateRule(value, rule, element, form, attributeType) {
                 return validateBetween(value, parameters, element);
             
             case 'date':
-                return validateDate(value);
+                return validateDate(value, context.dateFormat, timezone);
             
             case 'date_format':
-                return validateDateFormat(value, parameters);
+                return validateDateFormat(value, parameters, timezone);
+            
+            case 'date_timezone':
+                return { valid: true }; // Marker, the date rules of the field read their values in this timezone, fails only when it is unknown
             
             case 'after':
-                return validateAfter(value, parameters);
+                return validateAfter(value, parameters, form, attributeType, context.dateFormat, timezone);
             
             case 'before':
-                return validateBefore(value, parameters);
+                return validateBefore(value, parameters, form, attributeType, context.dateFormat, timezone);
             
             case 'after_or_equal':
-                return validateAfterOrEqual(value, parameters, form, attributeType);
+                return validateAfterOrEqual(value, parameters, form, attributeType, context.dateFormat, timezone);
             
             case 'before_or_equal':
-                return validateBeforeOrEqual(value, parameters, form, attributeType);
+                return validateBeforeOrEqual(value, parameters, form, attributeType, context.dateFormat, timezone);
             
             case 'weekend':
-                return validateWeekend(value);
+                return validateWeekend(value, context.dateFormat, timezone);
+            
+            case 'weekday':
+                return validateWeekday(value, context.dateFormat, timezone);
+            
+            case 'day_in':
+                return validateDayIn(value, parameters, context.dateFormat, timezone);
+            
+            case 'business_day':
+                return validateBusinessDay(value, parameters, context.dateFormat, timezone);
+            
+            case 'not_holiday':
+                return validateNotHoliday(value, parameters, context.dateFormat, timezone);
+            
+            case 'min_lead_days':
+                return validateMinLeadDays(value, parameters, context.dateFormat, timezone);
+            
+            case 'max_lead_days':
+                return validateMaxLeadDays(value, parameters, context.dateFormat, timezone);
             
             case 'time':
                 return validateTime(value);
@@ -349,7 +2663,7 @@ function validateRule(value, rule, element, form, attributeType) {
                 return validateBoolean(value);
             
             case 'confirmed':
-                return validateConfirmed(value, element, form, attributeType);
+                return validateConfirmed(value, element, form, attributeType, context);
             
             case 'alpha':
                 return validateAlpha(value);
@@ -423,15 +2737,45 @@ function validateRule(value, rule, element, form, attributeType) {
             case 'lte':
                 return validateLessThanOrEqual(value, parameters, form, attributeType);
                 
+            case 'gte':
+                return validateGreaterThanOrEqual(value, parameters, form, attributeType);
+                
             case 'dimensions':
                 return validateDimensions(value, parameters);
                 
+            case 'duration_min':
+                return validateDuration(value, parameters, 'duration_min', (duration, seconds) => duration >= seconds);
+                
+            case 'duration_max':
+                return validateDuration(value, parameters, 'duration_max', (duration, seconds) => duration <= seconds);
+                
+            case 'video_dimensions':
+                return validateVideoDimensions(value, parameters);
+                
+            case 'audio_channels':
+                return validateAudioChannels(value, parameters);
+                
             case 'nullable':
                 return validateNullable(value);
                 
             case 'sometimes':
                 return { valid: true }; // Always valid as it's just a marker
                 
+            case 'bail':
+                return { valid: true }; // Marker, runFieldRules stops at the first failure
+                
+            case 'min_items':
+                return validateMinItems(value, parameters);
+                
+            case 'max_items':
+                return validateMaxItems(value, parameters);
+                
+            case 'distinct':
+                return validateDistinct(value, parameters);
+                
+            case 'required_one_of':
+                return validateRequiredOneOf(value);
+                
             case 'contains':
                 return validateContains(value, parameters);
                 
@@ -444,12 +2788,18 @@ function validateRule(value, rule, element, form, attributeType) {
             case 'image':
                 return validateImage(value);
             
+            case 'remote':
+                return validateRemote(value, parameters, element, form, attributeType, context);
+            
             default:
+                if (name !== '') {
+                    console.warn(`Unknown validation rule "${name}" was ignored. Register it with validationJsExtend().`);
+                }
                 return { valid: true };
         }
     } catch (error) {
         console.error(`Error validating rule ${name}:`, error);
-        return { valid: false, message: `Validation error for rule ${name}` };
+        return { valid: false, message: getRuleErrorMessage(name) };
     }
 }
 
@@ -461,7 +2811,7 @@ function validateRule(value, rule, element, form, attributeType) {
  * @returns {Object} - Object with valid property indicating validation result
  */
 function validateRequired(value, element) {
-    if (element.type === 'file') {
+    if (element && element.type === 'file') {
         return { valid: value && value.length > 0 };
     }
     
@@ -484,11 +2834,12 @@ function validateRequiredIf(value, parameters, form, attributeType) {
     if (parameters.length < 2) return { valid: true };
     
     const [field, operator, ...values] = parameters;
-    const targetElement = form.querySelector(`[${attributeType}="${field}"]`);
+    const targetField = getOtherField(form, field, attributeType);
     
-    if (!targetElement) return { valid: true };
+    if (!targetField) return { valid: true };
     
-    const targetValue = getFieldValue(targetElement);
+    const targetElement = targetField.element;
+    const targetValue = targetField.value;
     let shouldBeRequired = false;
     
     const normalizeValue = (val) => {
@@ -666,11 +3017,11 @@ function validateRequiredIf(value, parameters, form, attributeType) {
             let count = 0;
             if (Array.isArray(targetValue)) {
                 count = targetValue.length;
-            } else if (targetElement.type === 'checkbox') {
+            } else if (targetElement && targetElement.type === 'checkbox') {
                 const form = targetElement.closest('form');
                 const checkedBoxes = form.querySelectorAll(`input[name="${targetElement.name}"]:checked`);
                 count = checkedBoxes.length;
-            } else if (targetElement.type === 'file') {
+            } else if (targetElement && targetElement.type === 'file') {
                 count = targetElement.files ? targetElement.files.length : 0;
             }
             
@@ -685,7 +3036,7 @@ function validateRequiredIf(value, parameters, form, attributeType) {
     }
     
     if (shouldBeRequired) {
-        return validateRequired(value, [], form, attributeType);
+        return validateRequired(value, null);
     }
     
     return { valid: true };
@@ -704,14 +3055,15 @@ function validateRequiredUnless(value, parameters, form, attributeType) {
         if (parameters.length < 2) return { valid: true };
         
         const [field, operator, ...values] = parameters;
-        const targetElement = form.querySelector(`[${attributeType}="${field}"]`);
+        const targetField = getOtherField(form, field, attributeType);
         
-        if (!targetElement) {
+        if (!targetField) {
             // If target field doesn't exist, assume field is required
-            return validateRequired(value, [], form, attributeType);
+            return validateRequired(value, null);
         }
         
-        const targetValue = getFieldValue(targetElement);
+        const targetElement = targetField.element;
+        const targetValue = targetField.value;
         let conditionMet = false;
         
         // Helper function to normalize value for comparison
@@ -907,11 +3259,11 @@ function validateRequiredUnless(value, parameters, form, attributeType) {
                 let count = 0;
                 if (Array.isArray(targetValue)) {
                     count = targetValue.length;
-                } else if (targetElement.type === 'checkbox') {
+                } else if (targetElement && targetElement.type === 'checkbox') {
                     const form = targetElement.closest('form');
                     const checkedBoxes = form.querySelectorAll(`input[name="${targetElement.name}"]:checked`);
                     count = checkedBoxes.length;
-                } else if (targetElement.type === 'file') {
+                } else if (targetElement && targetElement.type === 'file') {
                     count = targetElement.files ? targetElement.files.length : 0;
                 }
                 
@@ -936,7 +3288,7 @@ function validateRequiredUnless(value, parameters, form, attributeType) {
         }
         
         // Condition not met, field is required
-        const requiredResult = validateRequired(value, [], form, attributeType);
+        const requiredResult = validateRequired(value, null);
         if (!requiredResult.valid) {
            return requiredResult;
         }
@@ -947,7 +3299,7 @@ function validateRequiredUnless(value, parameters, form, attributeType) {
         console.error('Error in validateRequiredUnless:', error);
         return { 
             valid: false, 
-            message: 'Validation error occurred'
+            message: getRuleErrorMessage('required_unless')
         };
     }
 }
@@ -986,84 +3338,322 @@ function validateInteger(value) {
 }
 
 /**
- * Validates if a value is a valid email address
- * @param {*} value - The value to validate
- * @returns {Object} - Object with valid property indicating validation result
+ * Validates if a value is a valid email address
+ * @param {*} value - The value to validate
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateEmail(value) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return { valid: emailRegex.test(value) };
+}
+
+/**
+ * Validates if a value is an array or can be converted to an array
+ * @param {*} value - The value to validate
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateArray(value) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    // Handle comma-separated string as array
+    if (typeof value === 'string') {
+        value = value.split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+    
+    return { valid: Array.isArray(value) };
+}
+
+/**
+ * Validates if a value is a file input
+ * @param {*} value - The value to validate (expected to be a FileList)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateFile(value) {
+    return { valid: !!value && typeof FileList !== 'undefined' && value instanceof FileList };
+}
+
+/**
+ * Validates the maximum size of each file
+ * @param {*} value - The files to validate
+ * @param {Array} parameters - Array containing the maximum size with an optional unit (500KB, 2MB, 1GB, default unit MB, default 4MB)
+ * @param {HTMLElement} element - The form element
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateSize(value, parameters, element) {
+    const files = getFiles(value);
+    if (!files || files.length === 0) return { valid: true };
+    
+    const maxSizeBytes = parseFileSize(parameters[0] === undefined ? '4' : parameters[0]); // Default 4MB
+    if (isNaN(maxSizeBytes)) return { valid: false };
+    
+    const largeFile = files.find(file => file.size > maxSizeBytes);
+    return largeFile ? { valid: false, placeholders: { file: largeFile.name } } : { valid: true };
+}
+
+/**
+ * Validates the minimum size of each file
+ * @param {*} value - The files to validate
+ * @param {Array} parameters - Array containing the minimum size with an optional unit (100KB, 1MB, default unit MB)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateMinSize(value, parameters) {
+    const files = getFiles(value);
+    if (!files || files.length === 0) return { valid: true };
+    
+    const minSizeBytes = parseFileSize(parameters[0]);
+    if (isNaN(minSizeBytes)) return { valid: false };
+    
+    const smallFile = files.find(file => file.size < minSizeBytes);
+    return smallFile ? { valid: false, placeholders: { file: smallFile.name } } : { valid: true };
+}
+
+/**
+ * Validates the total size of all files
+ * @param {*} value - The files to validate
+ * @param {Array} parameters - Array containing the maximum total size with an optional unit (20MB, default unit MB)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateTotalSize(value, parameters) {
+    const files = getFiles(value);
+    if (!files || files.length === 0) return { valid: true };
+    
+    const maxSizeBytes = parseFileSize(parameters[0]);
+    if (isNaN(maxSizeBytes)) return { valid: false };
+    
+    return { valid: files.reduce((total, file) => total + file.size, 0) <= maxSizeBytes };
+}
+
+/**
+ * Validates the minimum number of selected files, an empty input is left to the required rule
+ * @param {*} value - The files to count
+ * @param {Array} parameters - Array containing the minimum count
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateMinFiles(value, parameters) {
+    const files = getFiles(value);
+    if (!files || files.length === 0) return { valid: true };
+    
+    return { valid: files.length >= parseInt(parameters[0], 10) };
+}
+
+/**
+ * Validates the maximum number of selected files
+ * @param {*} value - The files to count
+ * @param {Array} parameters - Array containing the maximum count
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateMaxFiles(value, parameters) {
+    const files = getFiles(value);
+    if (!files || files.length === 0) return { valid: true };
+    
+    return { valid: files.length <= parseInt(parameters[0], 10) };
+}
+
+/**
+ * Get the files of a value: a FileList, a File or an array of files (data mode)
+ * @param {*} value - The value to read
+ * @returns {Array|null} - The files, null if the value does not hold files
+ */
+function getFiles(value) {
+    if (typeof FileList !== 'undefined' && value instanceof FileList) return Array.from(value);
+    
+    if (typeof Blob !== 'undefined') {
+        if (value instanceof Blob) return [value];
+        if (Array.isArray(value) && value.every(item => item instanceof Blob)) return value;
+    }
+    
+    return null;
+}
+
+/**
+ * Convert a file size with an optional unit to bytes
+ * @param {string|number} size - Size like 500KB, 2MB, 1.5GB or 100B, MB without a unit
+ * @returns {number} - Size in bytes, NaN if the size cannot be read
+ */
+function parseFileSize(size) {
+    const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) return NaN;
+    
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    return parseFloat(match[1]) * units[(match[2] || 'mb').toLowerCase()];
+}
+
+/**
+ * Format a file size parameter for messages (2 => 2MB, 500kb => 500KB)
+ * @param {string|number} size - Size parameter
+ * @returns {string} - Size with its unit
+ */
+function formatFileSize(size) {
+    const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    
+    return match ? `${match[1]}${(match[2] || 'MB').toUpperCase()}` : String(size);
+}
+
+/**
+ * Validates the file extensions, with the content parameter also checks that the content of each file matches its extension
+ * @param {FileList} value - The files to validate
+ * @param {Array} parameters - Array of allowed extensions, and 'content' to read the files (optional)
+ * @returns {Object|Promise<Object>} - Object with valid property indicating validation result, a Promise when the content is read
+ */
+function validateMimes(value, parameters) {
+    if (!value || value.length === 0) return { valid: true };
+    
+    const files = getFiles(value);
+    if (!files) return { valid: false };
+    
+    const extensions = getMimesExtensions(parameters);
+    const extensionResult = checkFileExtensions(files, extensions);
+    if (!parameters.includes('content') || !extensionResult.valid || files.length === 0) return extensionResult;
+    
+    const allowedTypes = extensions.map(type => type.trim().toLowerCase()).filter(Boolean);
+    
+    return Promise.all(files.map(file => readFileHeader(file, 64).then(bytes => checkFileContent(file, bytes, allowedTypes, 'mimes'))))
+        .then(results => results.find(result => !result.valid) || { valid: true })
+        .catch(error => {
+            console.error('Error in mimes validation:', error);
+            return { valid: false };
+        });
+}
+
+/**
+ * Get the extensions of the mimes parameters, without the content flag
+ * @param {Array} parameters - Parameters of the mimes rule
+ * @returns {Array} - Allowed extensions
+ */
+function getMimesExtensions(parameters) {
+    return parameters.filter(parameter => parameter !== 'content');
+}
+
+/**
+ * Check the extension of every file name
+ * @param {Array} files - The files
+ * @param {Array} parameters - Array of allowed extensions
+ * @returns {Object} - Object with valid property, and the offending file
  */
-function validateEmail(value) {
-    if (value === '' || value === null || value === undefined) return { valid: true };
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return { valid: emailRegex.test(value) };
+function checkFileExtensions(files, parameters) {
+    const allowedTypes = parameters.map(type => type.trim().toLowerCase());
+    
+    for (let file of files) {
+        const extension = file.name.toLowerCase().split('.').pop();
+        if (!allowedTypes.includes(extension)) {
+            return { valid: false, placeholders: { file: file.name } };
+        }
+    }
+    
+    return { valid: true };
 }
 
 /**
- * Validates if a value is an array or can be converted to an array
- * @param {*} value - The value to validate
- * @returns {Object} - Object with valid property indicating validation result
+ * Validates the type of each file from its content (magic bytes) instead of its name
+ * Files whose content does not match their extension fail, e.g. an executable renamed to photo.jpg
+ * @param {FileList|Array|File} value - The files to validate
+ * @param {Array} parameters - Allowed MIME types (image/png, image/*) or extensions (pdf, docx)
+ * @returns {Object|Promise<Object>} - Object with valid property indicating validation result
  */
-function validateArray(value) {
-    if (value === '' || value === null || value === undefined) return { valid: true };
+function validateMimeTypes(value, parameters) {
+    if (!value || value.length === 0) return { valid: true };
     
-    // Handle comma-separated string as array
-    if (typeof value === 'string') {
-        value = value.split(',').map(item => item.trim()).filter(item => item !== '');
-    }
+    const files = getFiles(value);
+    if (!files) return { valid: false };
     
-    return { valid: Array.isArray(value) };
+    const allowedTypes = parameters.map(type => type.trim().toLowerCase()).filter(Boolean);
+    
+    return Promise.all(files.map(file => readFileHeader(file, 64).then(bytes => checkFileContent(file, bytes, allowedTypes, 'mimetypes'))))
+        .then(results => results.find(result => !result.valid) || { valid: true })
+        .catch(error => {
+            console.error('Error in mimetypes validation:', error);
+            return { valid: false };
+        });
 }
 
 /**
- * Validates if a value is a file input
- * @param {*} value - The value to validate (expected to be a FileList)
- * @returns {Object} - Object with valid property indicating validation result
+ * Read the first bytes of a file
+ * @param {Blob} file - The file
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Uint8Array>} - The bytes (fewer for smaller files)
  */
-function validateFile(value) {
-    return { valid: value && value instanceof FileList };
+function readFileHeader(file, length) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file.slice(0, length));
+    });
 }
 
 /**
- * Validates the size of a value (file size, array length, string length)
- * @param {*} value - The value to validate
- * @param {Array} parameters - Array containing size parameters
- * @param {HTMLElement} element - The form element
- * @returns {Object} - Object with valid property indicating validation result
+ * Check the content type of a file against its extension and the allowed types
+ * @param {File} file - The file
+ * @param {Uint8Array} bytes - First bytes of the file
+ * @param {Array} allowedTypes - Allowed MIME types or extensions, lowercase
+ * @param {string} ruleName - mimes or mimetypes, for the mismatch message
+ * @returns {Object} - Object with valid property and a message when the content does not match the extension
  */
-function validateSize(value, parameters, element) {
-    if (!value || value.length === 0) return { valid: true };
+function checkFileContent(file, bytes, allowedTypes, ruleName) {
+    const name = (file.name || '').toLowerCase();
+    const extension = name.includes('.') ? name.split('.').pop() : '';
+    const extensionEntry = validationFileSignatures.find(entry => entry.extensions.includes(extension));
+    const detectedType = detectFileType(bytes, extensionEntry);
     
-    const maxSize = parameters[0] ? parseFloat(parameters[0]) : 4; // Default 4MB
-    const maxSizeBytes = maxSize * 1024 * 1024;
+    // For mimes the extension is already allowed, any other known content is a mismatch
+    const isMismatch = extensionEntry
+        ? detectedType !== extensionEntry.type
+        : ruleName === 'mimes' && detectedType !== null && !isAllowedFileType(detectedType, allowedTypes);
     
-    if (element.type === 'file') {
-        for (let file of value) {
-            if (file.size > maxSizeBytes) {
-                return { valid: false };
-            }
-        }
+    if (isMismatch) {
+        return {
+            valid: false,
+            message: getVariantMessage(ruleName, 'mismatch'),
+            placeholders: { file: file.name }
+        };
     }
     
-    return { valid: true };
+    // No known signature (text, CSV, SVG...): the browser-reported type or the extension
+    const valid = detectedType
+        ? isAllowedFileType(detectedType, allowedTypes)
+        : isAllowedFileType((file.type || '').toLowerCase(), allowedTypes) || allowedTypes.includes(extension);
+    
+    return valid ? { valid } : { valid, placeholders: { file: file.name } };
 }
 
 /**
- * Validates file MIME types
- * @param {FileList} value - The files to validate
- * @param {Array} parameters - Array of allowed MIME types
- * @returns {Object} - Object with valid property indicating validation result
+ * Detect the type of a file from its first bytes
+ * @param {Uint8Array} bytes - First bytes of the file
+ * @param {Object} extensionEntry - Signature entry of the file extension (optional)
+ * @returns {string|null} - MIME type, null if no signature matches
  */
-function validateMimes(value, parameters) {
-    if (!value || value.length === 0) return { valid: true };
+function detectFileType(bytes, extensionEntry) {
+    const entry = validationFileSignatures.find(entry => (entry.signatures || []).some(signature => (
+        signature.split(' ').every((byte, index) => index < bytes.length && (byte === '??' || bytes[index] === parseInt(byte, 16)))
+    )));
     
-    const allowedTypes = parameters.map(type => type.toLowerCase());
+    if (!entry) return null;
     
-    for (let file of value) {
-        const extension = file.name.toLowerCase().split('.').pop();
-        if (!allowedTypes.includes(extension)) {
-            return { valid: false };
-        }
+    // Office documents share the signature of their container
+    if (extensionEntry && extensionEntry.container === entry.type) {
+        return extensionEntry.type;
     }
     
-    return { valid: true };
+    return entry.type;
+}
+
+/**
+ * Check if a MIME type is allowed by MIME types, wildcards (image/*) or extensions
+ * @param {string} type - MIME type
+ * @param {Array} allowedTypes - Allowed MIME types or extensions, lowercase
+ * @returns {boolean} - True if the type is allowed
+ */
+function isAllowedFileType(type, allowedTypes) {
+    if (!type) return false;
+    
+    return allowedTypes.some(allowed => {
+        if (allowed.endsWith('/*')) return type.startsWith(allowed.slice(0, -1));
+        if (allowed.includes('/')) return allowed === type;
+        
+        const entry = validationFileSignatures.find(entry => entry.extensions.includes(allowed));
+        return entry !== undefined && entry.type === type;
+    });
 }
 
 /**
@@ -1105,7 +3695,7 @@ function validateMin(value, parameters, element) {
     
     const min = parseFloat(parameters[0]);
     
-    if (element.type === 'file') {
+    if (element && element.type === 'file') {
         return { valid: value.length >= min };
     }
     
@@ -1139,7 +3729,7 @@ function validateMax(value, parameters, element) {
     
     const max = parseFloat(parameters[0]);
     
-    if (element.type === 'file') {
+    if (element && element.type === 'file') {
         return { valid: value.length <= max };
     }
 
@@ -1173,7 +3763,7 @@ function validateBetween(value, parameters, element) {
     
     const [min, max] = parameters.map(p => parseFloat(p));
     
-    if (element.type === 'time') {
+    if (element && element.type === 'time') {
         const timeToMinutes = (timeStr) => {
             const [hours, minutes] = timeStr.split(':').map(Number);
             return hours * 60 + minutes;
@@ -1197,308 +3787,730 @@ function validateBetween(value, parameters, element) {
 /**
  * Validates if a value is a valid date
  * @param {*} value - The date value to validate
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateDate(value) {
+function validateDate(value, format, timezone) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
-    const date = new Date(value);
+    const date = parseDateWithFormat(value, format, timezone);
     return { valid: !isNaN(date.getTime()) };
 }
 
 /**
  * Validates if a date value matches the specified format
  * @param {string} value - The date string to validate
- * @param {Array} parameters - Array containing the date format
+ * @param {Array} parameters - Array containing the date format (PHP format characters, e.g. 'd/m/Y' or 'D, d M Y')
+ * @param {string} timezone - Timezone declared with date_timezone, times skipped by a DST change are rejected (optional)
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateDateFormat(value, parameters) {
+function validateDateFormat(value, parameters, timezone) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
-    const format = parameters[0];
+    // Formats such as 'F j, Y' are split on the comma by the rule parser
+    const format = parameters.join(',');
     if (!format) return { valid: false };
     
-    // Date format patterns mapping
-    const formatPatterns = {
-        // Year formats
-        'Y-m-d': /^\d{4}-\d{1,2}-\d{1,2}$/,
-        'YYYY-MM-DD': /^\d{4}-\d{2}-\d{2}$/,
-        'Y/m/d': /^\d{4}\/\d{1,2}\/\d{1,2}$/,
-        'YYYY/MM/DD': /^\d{4}\/\d{2}\/\d{2}$/,
-        
-        // Month/Day/Year formats (US style)
-        'm/d/Y': /^\d{1,2}\/\d{1,2}\/\d{4}$/,
-        'MM/DD/YYYY': /^\d{2}\/\d{2}\/\d{4}$/,
-        'm-d-Y': /^\d{1,2}-\d{1,2}-\d{4}$/,
-        'MM-DD-YYYY': /^\d{2}-\d{2}-\d{4}$/,
-        
-        // Day/Month/Year formats (European style)
-        'd/m/Y': /^\d{1,2}\/\d{1,2}\/\d{4}$/,
-        'DD/MM/YYYY': /^\d{2}\/\d{2}\/\d{4}$/,
-        'd-m-Y': /^\d{1,2}-\d{1,2}-\d{4}$/,
-        'DD-MM-YYYY': /^\d{2}-\d{2}-\d{4}$/,
-        'd.m.Y': /^\d{1,2}\.\d{1,2}\.\d{4}$/,
-        'DD.MM.YYYY': /^\d{2}\.\d{2}\.\d{4}$/,
-        
-        // With time formats
-        'Y-m-d H:i': /^\d{4}-\d{1,2}-\d{1,2} \d{1,2}:\d{2}$/,
-        'YYYY-MM-DD HH:mm': /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/,
-        'Y-m-d H:i:s': /^\d{4}-\d{1,2}-\d{1,2} \d{1,2}:\d{2}:\d{2}$/,
-        'YYYY-MM-DD HH:mm:ss': /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/,
-        
-        // Time only formats
-        'H:i': /^\d{1,2}:\d{2}$/,
-        'HH:mm': /^\d{2}:\d{2}$/,
-        'H:i:s': /^\d{1,2}:\d{2}:\d{2}$/,
-        'HH:mm:ss': /^\d{2}:\d{2}:\d{2}$/,
-        'h:i A': /^\d{1,2}:\d{2} (AM|PM)$/i,
-        'hh:mm A': /^\d{2}:\d{2} (AM|PM)$/i,
-        
-        // ISO formats
-        'c': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}([+-]\d{2}:\d{2}|Z)$/,
-        'ISO8601': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?([+-]\d{2}:\d{2}|Z)$/,
-        
-        // Month/Year formats
-        'm/Y': /^\d{1,2}\/\d{4}$/,
-        'MM/YYYY': /^\d{2}\/\d{4}$/,
-        'm-Y': /^\d{1,2}-\d{4}$/,
-        'MM-YYYY': /^\d{2}-\d{4}$/,
-        
-        // Text date formats
-        'F j, Y': /^[A-Za-z]+ \d{1,2}, \d{4}$/,
-        'M j, Y': /^[A-Za-z]{3} \d{1,2}, \d{4}$/,
-        'j F Y': /^\d{1,2} [A-Za-z]+ \d{4}$/,
-        'j M Y': /^\d{1,2} [A-Za-z]{3} \d{4}$/
+    if (parseDateFormat(String(value), format, timezone) !== null) return { valid: true };
+    
+    // A value that matches the format as UTC time was skipped by a DST change
+    return parseDateFormat(String(value), format, 'UTC') !== null
+        ? { valid: false, message: getVariantMessage('date_format', 'skipped') }
+        : { valid: false };
+}
+
+/**
+ * Parse a date string with a PHP-style format, checking the structure and the calendar values
+ * Day, month, hour and minute ranges are checked and day names (D, l, N, w) and suffixes (S) must match the date.
+ * Missing date fields default to today for time-only formats, otherwise to the current year, January and the 1st.
+ * @param {string} value - The date string
+ * @param {string} format - PHP format (d, j, D, l, N, w, S, z, m, n, M, F, y, Y, a, A, g, G, h, H, i, s, u, v, e, O, P, p, T, U, c, r) or a Moment-style alias
+ * @param {string} timezone - Timezone of values without an offset, local time without it (optional)
+ * @returns {Date|null} - Parsed date, null if the value does not match the format or the time does not exist
+ */
+function parseDateFormat(value, format, timezone) {
+    if (validationDateFormatAliases[format]) {
+        // Moment-style aliases require two-digit days, months and hours
+        if (/(^|\D)\d(?!\d)/.test(value)) return null;
+        
+        for (let alias of [].concat(validationDateFormatAliases[format])) {
+            const date = parseDateFormat(value, alias, timezone);
+            if (date) return date;
+        }
+        return null;
+    }
+    
+    const compiled = compileDateFormat(format);
+    const match = value.trim().match(compiled.regex);
+    if (!match) return null;
+    
+    const parts = {};
+    compiled.tokens.forEach((token, index) => {
+        parts[token] = match[index + 1];
+    });
+    
+    return buildFormattedDate(parts, timezone);
+}
+
+/**
+ * Compile a PHP-style date format to a regular expression and the format characters of its groups
+ * @param {string} format - PHP date format, a backslash escapes the next character
+ * @returns {Object} - { regex, tokens }
+ */
+function compileDateFormat(format) {
+    const patterns = {
+        d: '\\d{1,2}', j: '\\d{1,2}', D: '[a-z]{3}', l: '[a-z]+', N: '[1-7]', w: '[0-6]', S: 'st|nd|rd|th', z: '\\d{1,3}',
+        m: '\\d{1,2}', n: '\\d{1,2}', M: '[a-z]{3}', F: '[a-z]+',
+        y: '\\d{2}', Y: '\\d{4}',
+        a: '[ap]m', A: '[ap]m', g: '\\d{1,2}', G: '\\d{1,2}', h: '\\d{1,2}', H: '\\d{1,2}', i: '\\d{2}', s: '\\d{2}',
+        u: '\\d{1,6}', v: '\\d{3}',
+        e: 'z|utc|[+-]\\d{2}:?\\d{2}|[a-z_]+(?:\\/[a-z0-9_+-]+)*', O: 'z|[+-]\\d{4}', P: 'z|[+-]\\d{2}:\\d{2}', p: 'z|[+-]\\d{2}:\\d{2}',
+        T: '[a-z]{1,5}|[+-]\\d{2}:?\\d{2}',
+        U: '-?\\d+'
     };
+    const compounds = { c: 'Y-m-d\\TH:i:sP', r: 'D, d M Y H:i:s O' };
+    const tokens = [];
+    let pattern = '';
+    let chars = format;
     
-    const regex = formatPatterns[format];
-    if (!regex) {
-        console.warn(`Unsupported date format: ${format}`);
-        return { valid: false };
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        
+        if (char === '\\') {
+            i++;
+            if (i < chars.length) pattern += chars[i].replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+        } else if (compounds[char]) {
+            chars = chars.slice(0, i) + compounds[char] + chars.slice(i + 1);
+            i--;
+        } else if (patterns[char]) {
+            tokens.push(char);
+            pattern += `(${patterns[char]})`;
+        } else if (char === '?') {
+            pattern += '[\\s\\S]';
+        } else if (char === '*') {
+            pattern += '[^\\s,;:\\/.()\\-\\d]*';
+        } else if (char === '+') {
+            pattern += '[\\s\\S]*';
+        } else if (char !== '!' && char !== '|') {
+            pattern += char.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+        }
     }
     
-    // Check regex pattern first
-    if (!regex.test(value)) {
-        return { valid: false };
+    return { regex: new RegExp(`^${pattern}$`, 'i'), tokens };
+}
+
+/**
+ * Build the date of the fields read by parseDateFormat and check their calendar values
+ * @param {Object} parts - Matched strings keyed by format character
+ * @param {string} timezone - Timezone of values without an offset (optional)
+ * @returns {Date|null} - Date, null if a value is out of range, does not match the date or does not exist in the timezone
+ */
+function buildFormattedDate(parts, timezone) {
+    if (parts.U !== undefined) {
+        return new Date(Number(parts.U) * 1000);
+    }
+    
+    // An offset or timezone name in the value replaces the declared timezone
+    const valueTimezone = [parts.P, parts.p, parts.O, parts.e, parts.T].find(part => part !== undefined);
+    if (valueTimezone !== undefined) {
+        if (getTimezoneOffset(valueTimezone) === undefined) return null;
+        if (getZoneOffset(valueTimezone, new Date()) !== undefined) timezone = valueTimezone;
+    }
+    
+    const today = getWallClock(new Date(), timezone);
+    const findName = (names, name, short) => names.findIndex(full => (short ? full.slice(0, 3) : full).toLowerCase() === name.toLowerCase());
+    
+    let year = parts.Y !== undefined ? Number(parts.Y) : undefined;
+    if (parts.y !== undefined) {
+        year = Number(parts.y) < 70 ? 2000 + Number(parts.y) : 1900 + Number(parts.y);
+    }
+    
+    let month = parts.m !== undefined ? Number(parts.m) : (parts.n !== undefined ? Number(parts.n) : undefined);
+    if (parts.M !== undefined) month = findName(validationMonthNames, parts.M, true) + 1;
+    if (parts.F !== undefined) month = findName(validationMonthNames, parts.F, false) + 1;
+    
+    let day = parts.d !== undefined ? Number(parts.d) : (parts.j !== undefined ? Number(parts.j) : undefined);
+    
+    if (year === undefined && month === undefined && day === undefined && parts.z === undefined) {
+        // Time only formats - use today's date
+        [year, month, day] = [today.getUTCFullYear(), today.getUTCMonth() + 1, today.getUTCDate()];
+    }
+    
+    year = year === undefined ? today.getUTCFullYear() : year;
+    
+    // Day of the year (0-365) when neither month nor day is given
+    if (parts.z !== undefined && month === undefined && day === undefined) {
+        const dayOfYear = Number(parts.z);
+        if (dayOfYear >= (getDaysInMonth(year, 2) === 29 ? 366 : 365)) return null;
+        
+        const yearDate = new Date(0);
+        yearDate.setUTCFullYear(year, 0, 1 + dayOfYear);
+        [month, day] = [yearDate.getUTCMonth() + 1, yearDate.getUTCDate()];
+    }
+    
+    month = month === undefined ? 1 : month;
+    day = day === undefined ? 1 : day;
+    
+    if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(year, month)) {
+        return null;
+    }
+    
+    // Hours: H/G 0-23, h/g 1-12 with an optional meridiem
+    let hour = [parts.H, parts.G, parts.h, parts.g].find(part => part !== undefined);
+    hour = hour === undefined ? 0 : Number(hour);
+    const twelveHour = parts.h !== undefined || parts.g !== undefined;
+    const meridiem = (parts.A || parts.a || '').toLowerCase();
+    
+    if (twelveHour || meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        if (meridiem) hour = hour % 12 + (meridiem === 'pm' ? 12 : 0);
+    } else if (hour > 23) {
+        return null;
     }
     
-    // Additional validation based on format type
-    return validateDateLogic(value, format);
+    const minute = parts.i !== undefined ? Number(parts.i) : 0;
+    const second = parts.s !== undefined ? Number(parts.s) : 0;
+    if (minute > 59 || second > 59) return null;
+    
+    let millisecond = parts.v !== undefined ? Number(parts.v) : 0;
+    if (parts.u !== undefined) millisecond = Math.floor(Number(parts.u.padEnd(6, '0')) / 1000);
+    
+    // Day names, weekday numbers and suffixes must describe the same date
+    const calendarDate = new Date(Date.UTC(2000, 0, 1));
+    calendarDate.setUTCFullYear(year, month - 1, day);
+    const weekday = calendarDate.getUTCDay();
+    const suffix = day % 10 === 1 && day !== 11 ? 'st' : day % 10 === 2 && day !== 12 ? 'nd' : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+    
+    if ((parts.D !== undefined && findName(validationDayNames, parts.D, true) !== weekday) ||
+        (parts.l !== undefined && findName(validationDayNames, parts.l, false) !== weekday) ||
+        (parts.N !== undefined && Number(parts.N) % 7 !== weekday) ||
+        (parts.w !== undefined && Number(parts.w) !== weekday) ||
+        (parts.S !== undefined && parts.S.toLowerCase() !== suffix)) {
+        return null;
+    }
+    
+    calendarDate.setUTCHours(hour, minute, second, millisecond);
+    return wallClockToDate(calendarDate, timezone);
 }
 
 /**
- * Helper function to validate a date string against a specific format
- * @param {string} value - The date string to validate
- * @param {string} format - The date format to validate against
- * @returns {Object} - Object with valid property indicating validation result
+ * Get the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number} - Number of days
+ */
+function getDaysInMonth(year, month) {
+    return [31, (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+/**
+ * Read the UTC offset of a timezone designator (Z, UTC, GMT, +02:00, +0200)
+ * @param {string} timezone - Timezone string from the value (optional)
+ * @returns {number|null|undefined} - Offset in minutes, null if not a fixed offset (no timezone or a named timezone), undefined if out of range
+ */
+function getTimezoneOffset(timezone) {
+    if (timezone === undefined) return null;
+    
+    if (/^(z|utc|gmt)$/i.test(timezone)) return 0;
+    
+    const match = timezone.match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (!match) return null;
+    if (Number(match[2]) > 14 || Number(match[3]) > 59) return undefined;
+    
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+/**
+ * Get the UTC offset of a timezone at a given moment
+ * @param {string} timezone - Fixed offset (+08:00, UTC) or IANA name (Europe/London)
+ * @param {Date} date - Moment, the offset of IANA timezones changes with DST
+ * @returns {number|undefined} - Offset in minutes, undefined if the timezone is not known
  */
-function validateDateLogic(value, format) {
+function getZoneOffset(timezone, date) {
+    const fixedOffset = getTimezoneOffset(timezone);
+    if (fixedOffset !== null) return fixedOffset;
+    
     try {
-        let date;
-        
-        // Handle different date parsing based on format
-        if (format.includes('c') || format.includes('ISO8601')) {
-            // ISO format
-            date = new Date(value);
-        } else if (format.match(/^[HhMmSsAi:\s]+$/)) {
-            // Time only formats - create date with today's date
-            const today = new Date().toISOString().split('T')[0];
-            const timeValue = value.replace(/AM|PM/i, '').trim();
-            let [hours, minutes, seconds = '00'] = timeValue.split(':');
-            
-            if (value.match(/PM/i) && parseInt(hours) !== 12) {
-                hours = parseInt(hours) + 12;
-            } else if (value.match(/AM/i) && parseInt(hours) === 12) {
-                hours = '00';
-            }
-            
-            date = new Date(`${today}T${hours.padStart(2, '0')}:${minutes}:${seconds}`);
-        } else if (format.includes('/')) {
-            // Handle different slash-separated formats
-            const parts = value.split('/');
-            if (format.startsWith('Y') || format.startsWith('YYYY')) {
-                // YYYY/MM/DD
-                date = new Date(parts[0], parts[1] - 1, parts[2]);
-            } else if (format.startsWith('m') || format.startsWith('MM')) {
-                // MM/DD/YYYY (US format)
-                date = new Date(parts[2], parts[0] - 1, parts[1]);
-            } else if (format.startsWith('d') || format.startsWith('DD')) {
-                // DD/MM/YYYY (European format)
-                date = new Date(parts[2], parts[1] - 1, parts[0]);
-            }
-        } else if (format.includes('-')) {
-            // Handle different dash-separated formats
-            const parts = value.split(/[-\s]/);
-            if (format.startsWith('Y') || format.startsWith('YYYY')) {
-                // YYYY-MM-DD format
-                const datePart = parts[0] + '-' + parts[1] + '-' + parts[2];
-                if (parts.length > 3) {
-                    // Has time component
-                    const timeParts = parts.slice(3).join(':');
-                    date = new Date(datePart + 'T' + timeParts);
-                } else {
-                    date = new Date(datePart);
-                }
-            } else if (format.startsWith('m') || format.startsWith('MM')) {
-                // MM-DD-YYYY (US format)
-                date = new Date(parts[2], parts[0] - 1, parts[1]);
-            } else if (format.startsWith('d') || format.startsWith('DD')) {
-                // DD-MM-YYYY (European format)
-                date = new Date(parts[2], parts[1] - 1, parts[0]);
-            }
-        } else if (format.includes('.')) {
-            // Handle dot-separated formats (European)
-            const parts = value.split('.');
-            date = new Date(parts[2], parts[1] - 1, parts[0]);
-        } else if (format.includes('F') || format.includes('M')) {
-            // Handle text month formats
-            date = new Date(value);
-        } else {
-            // Default parsing
-            date = new Date(value);
-        }
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
         
-        // Validate the date is valid
-        if (isNaN(date.getTime())) {
-            return { valid: false };
-        }
+        const wallClock = new Date(0);
+        wallClock.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+        wallClock.setUTCHours(parts.hour, parts.minute, parts.second, 0);
         
-        // Additional checks for specific formats
-        if (format === 'Y-m-d' || format === 'YYYY-MM-DD') {
-            const formatted = date.toISOString().split('T')[0];
-            const normalizedValue = value.length === 8 ? 
-                `${value.slice(0,4)}-${value.slice(4,6).padStart(2,'0')}-${value.slice(6,8).padStart(2,'0')}` : 
-                value;
-            return { valid: formatted === normalizedValue || formatted === value };
+        return Math.round((wallClock.getTime() - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    } catch (error) {
+        // Intl throws a RangeError for unknown timezones
+        return undefined;
+    }
+}
+
+/**
+ * Get the wall clock time of a moment in a timezone, as the UTC fields of a Date
+ * @param {Date} date - Moment
+ * @param {string} timezone - Timezone (optional, local time without it)
+ * @returns {Date} - Date whose getUTC* methods return the wall clock time
+ */
+function getWallClock(date, timezone) {
+    let offset = timezone ? getZoneOffset(timezone, date) : undefined;
+    if (offset === undefined) offset = -date.getTimezoneOffset();
+    
+    return new Date(date.getTime() + offset * 60000);
+}
+
+/**
+ * Get the moment of a wall clock time in a timezone
+ * @param {Date} wallClock - Wall clock time as the UTC fields of a Date
+ * @param {string} timezone - Timezone (optional, local time without it)
+ * @param {boolean} shiftGap - Move a time skipped by a DST change forward instead of rejecting it
+ * @returns {Date|null} - Moment (the earlier one when the time occurs twice), null if the time does not exist or the timezone is unknown
+ */
+function wallClockToDate(wallClock, timezone, shiftGap = false) {
+    if (timezone) {
+        const fixedOffset = getTimezoneOffset(timezone);
+        if (fixedOffset !== undefined && fixedOffset !== null) {
+            return new Date(wallClock.getTime() - fixedOffset * 60000);
         }
         
-        // For month/year validation
-        if (format.match(/^m{1,2}[-\/]Y{4}$/)) {
-            const parts = value.split(/[-\/]/);
-            const month = parseInt(parts[0]);
-            return { valid: month >= 1 && month <= 12 };
-        }
+        // The offsets before and after a DST change, kept when they map back to the wall clock time
+        const offsets = [-1, 1].map(days => getZoneOffset(timezone, new Date(wallClock.getTime() + days * 86400000)));
         
-        return { valid: true };
+        if (offsets[0] !== undefined) {
+            const moments = offsets
+                .map(offset => new Date(wallClock.getTime() - offset * 60000))
+                .filter((moment, index) => getZoneOffset(timezone, moment) === offsets[index]);
+            
+            if (moments.length > 0) {
+                return new Date(Math.min(...moments.map(moment => moment.getTime())));
+            }
+            return shiftGap ? new Date(wallClock.getTime() - offsets[0] * 60000) : null;
+        }
         
-    } catch (error) {
+        // Unknown timezone, validateRule fails the date rules before they get here
+        return null;
+    }
+    
+    const date = new Date(2000, 0, 1);
+    date.setFullYear(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate());
+    date.setHours(wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds(), wallClock.getUTCMilliseconds());
+    
+    // The Date constructor moves times skipped by a DST change forward
+    if (!shiftGap && (date.getHours() !== wallClock.getUTCHours() || date.getMinutes() !== wallClock.getUTCMinutes())) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Resolve the timezone declared with date_timezone: the value of another field or the parameter itself
+ * @param {string} parameter - Timezone (Europe/London, +08:00, UTC) or name of the field holding it
+ * @param {HTMLElement|Object} form - Form element or data object
+ * @param {string} attributeType - The attribute type to use
+ * @returns {string|null} - Timezone, null for local time
+ */
+function resolveDateTimezone(parameter, form, attributeType) {
+    const timezoneField = getOtherField(form, parameter, attributeType);
+    if (timezoneField) {
+        return timezoneField.value ? String(timezoneField.value) : null;
+    }
+    
+    return parameter;
+}
+
+/**
+ * Parse a date value with the date_format and date_timezone declared on the field
+ * @param {*} value - Date string, timestamp or Date
+ * @param {string} format - Declared date format (optional)
+ * @param {string} timezone - Declared timezone (optional)
+ * @returns {Date} - Parsed date (invalid when the value does not match the format or the time does not exist)
+ */
+function parseDateWithFormat(value, format, timezone) {
+    if (!format || typeof value !== 'string') {
+        return parseDateValue(value, timezone);
+    }
+    
+    return parseDateFormat(value, format, timezone) || new Date(NaN);
+}
+
+/**
+ * Validates if a date is after another date
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the reference date, relative keyword or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateAfter(value, parameters, form, attributeType, format, timezone) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareDates(value, parameters, form, attributeType, format, timezone, (valueDate, compareDate) => valueDate > compareDate);
+}
+
+/**
+ * Validates if a date is before another date
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the reference date, relative keyword or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateBefore(value, parameters, form, attributeType, format, timezone) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareDates(value, parameters, form, attributeType, format, timezone, (valueDate, compareDate) => valueDate < compareDate);
+}
+
+/**
+ * Validates if a date is after or equal to another date
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the reference date, relative keyword or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateAfterOrEqual(value, parameters, form, attributeType, format, timezone) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareDates(value, parameters, form, attributeType, format, timezone, (valueDate, compareDate) => valueDate >= compareDate);
+}
+
+/**
+ * Validates if a date is before or equal to another date
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the reference date, relative keyword or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateBeforeOrEqual(value, parameters, form, attributeType, format, timezone) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareDates(value, parameters, form, attributeType, format, timezone, (valueDate, compareDate) => valueDate <= compareDate);
+}
+
+/**
+ * Compare a date with the date of a rule parameter
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the reference date, relative keyword or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @param {Function} compare - Comparison (valueDate, compareDate) => boolean
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function compareDates(value, parameters, form, attributeType, format, timezone, compare) {
+    const compareDate = resolveCompareDate(parameters[0], form, attributeType, format, timezone);
+    const valueDate = parseDateWithFormat(value, format, timezone);
+    
+    if (!compareDate || isNaN(compareDate.getTime()) || isNaN(valueDate.getTime())) {
         return { valid: false };
     }
+    
+    return { valid: compare(valueDate.getTime(), compareDate.getTime()) };
+}
+
+/**
+ * Resolve the date a date rule compares with: another field, a relative keyword or a literal date
+ * Other fields and literal dates are read with the format of the validated field, and without it when they do not match
+ * @param {string} parameter - Field name, keyword (today, tomorrow, yesterday, now, +7 days) or date
+ * @param {HTMLElement|Object} form - Form element or data object
+ * @param {string} attributeType - The attribute type to use
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Date|null} - Reference date, null without a parameter
+ */
+function resolveCompareDate(parameter, form, attributeType, format, timezone) {
+    if (parameter === undefined || parameter === null || parameter === '') return null;
+    
+    // Check if parameter is a field name
+    const compareField = getOtherField(form, parameter, attributeType);
+    if (compareField) {
+        return parseReferenceDate(compareField.value, format, timezone);
+    }
+    
+    return resolveRelativeDate(parameter, timezone) || parseReferenceDate(parameter, format, timezone);
+}
+
+/**
+ * Parse the date a rule compares with, with the declared format or else as a plain date (2024-12-31)
+ * @param {*} value - Date string of a parameter or another field
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Date} - Parsed date
+ */
+function parseReferenceDate(value, format, timezone) {
+    const date = parseDateWithFormat(value, format, timezone);
+    
+    return isNaN(date.getTime()) ? parseDateValue(value, timezone) : date;
+}
+
+/**
+ * Resolve a relative date keyword
+ * Day offsets and the day keywords start at midnight, hour/minute/second offsets and now keep the time:
+ * today, tomorrow, yesterday, now, +7 days, -1 month, +2 hours, tomorrow +1 week, now -30 minutes
+ * @param {string} keyword - Relative date keyword
+ * @param {string} timezone - Timezone whose midnight and calendar days are used (optional, local time without it)
+ * @returns {Date|null} - Resolved date or null if the keyword is not relative
+ */
+function resolveRelativeDate(keyword, timezone) {
+    const match = String(keyword).trim().toLowerCase()
+        .match(/^(now|today|tomorrow|yesterday)?\s*(?:([+-])\s*(\d+)\s*(second|minute|hour|day|week|month|year)s?)?$/);
+    
+    if (!match || (!match[1] && !match[2])) return null;
+    
+    const [, base, sign, amount, unit] = match;
+    const offset = sign ? (sign === '-' ? -1 : 1) * parseInt(amount, 10) : 0;
+    const timeUnits = { second: 1000, minute: 60000, hour: 3600000 };
+    const keepTime = base === 'now' || (base === undefined && timeUnits[unit] !== undefined);
+    
+    // Hours, minutes and seconds are added to the moment, the other units to the calendar date of the timezone
+    if (keepTime && (!sign || timeUnits[unit])) {
+        return new Date(Date.now() + offset * (timeUnits[unit] || 0));
+    }
+    
+    const wallClock = getWallClock(new Date(), timezone);
+    
+    if (!keepTime) wallClock.setUTCHours(0, 0, 0, 0);
+    if (base === 'tomorrow') wallClock.setUTCDate(wallClock.getUTCDate() + 1);
+    if (base === 'yesterday') wallClock.setUTCDate(wallClock.getUTCDate() - 1);
+    
+    switch (unit) {
+        case 'day': wallClock.setUTCDate(wallClock.getUTCDate() + offset); break;
+        case 'week': wallClock.setUTCDate(wallClock.getUTCDate() + offset * 7); break;
+        case 'month': wallClock.setUTCMonth(wallClock.getUTCMonth() + offset); break;
+        case 'year': wallClock.setUTCFullYear(wallClock.getUTCFullYear() + offset); break;
+    }
+    
+    const date = wallClockToDate(wallClock, timezone, true) || new Date(NaN);
+    
+    return sign && timeUnits[unit] ? new Date(date.getTime() + offset * timeUnits[unit]) : date;
+}
+
+/**
+ * Parse a date value, an ISO date or date-time without offset (Y-m-d, Y-m-d\TH:i:s) is read as wall clock time
+ * in the timezone, or local time like the relative keywords
+ * @param {*} value - Date string, timestamp or Date
+ * @param {string} timezone - Timezone of values without an offset (optional)
+ * @returns {Date} - Parsed date (invalid when the value cannot be read or the time does not exist)
+ */
+function parseDateValue(value, timezone) {
+    if (value instanceof Date) return new Date(value.getTime());
+    
+    const isoDate = typeof value === 'string'
+        ? value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/)
+        : null;
+    if (isoDate) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0'] = isoDate;
+        const wallClock = new Date(0);
+        wallClock.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+        wallClock.setUTCHours(Number(hour), Number(minute), Number(second), Number(fraction.padEnd(3, '0')));
+        
+        // Dates without a time start when the day starts, also if midnight is skipped by a DST change
+        return wallClockToDate(wallClock, timezone, isoDate[4] === undefined) || new Date(NaN);
+    }
+    
+    return new Date(value === null || value === undefined ? '' : value);
+}
+
+/**
+ * Get the calendar day of a date value, in the declared timezone
+ * @param {*} value - The date value
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Date|null} - Day at midnight as the UTC fields of a Date, null if the value is not a date
+ */
+function getCalendarDay(value, format, timezone) {
+    const date = parseDateWithFormat(value, format, timezone);
+    if (isNaN(date.getTime())) return null;
+    
+    const day = getWallClock(date, timezone);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
 }
 
 /**
- * Validates if a date is after another date
+ * Validates if a date falls on a weekend (Saturday or Sunday)
  * @param {string} value - The date string to validate
- * @param {Array} parameters - Array containing the reference date
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone, the day is taken in this timezone (optional)
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateAfter(value, parameters) {
+function validateWeekend(value, format, timezone) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
-    const compareDate = new Date(parameters[0]);
-    const valueDate = new Date(value);
-    
-    if (isNaN(compareDate.getTime()) || isNaN(valueDate.getTime())) {
-        return { valid: false };
-    }
+    const day = getCalendarDay(value, format, timezone);
+    if (!day) return { valid: false };
     
-    return { valid: valueDate > compareDate };
+    const dayOfWeek = day.getUTCDay(); // 0 = Sunday, 6 = Saturday
+    return { valid: dayOfWeek === 0 || dayOfWeek === 6 };
 }
 
 /**
- * Validates if a date is before another date
+ * Validates if a date falls on a weekday (Monday to Friday)
  * @param {string} value - The date string to validate
- * @param {Array} parameters - Array containing the reference date
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateBefore(value, parameters) {
+function validateWeekday(value, format, timezone) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
-    const compareDate = new Date(parameters[0]);
-    const valueDate = new Date(value);
-    
-    if (isNaN(compareDate.getTime()) || isNaN(valueDate.getTime())) {
-        return { valid: false };
-    }
+    const day = getCalendarDay(value, format, timezone);
+    if (!day) return { valid: false };
     
-    return { valid: valueDate < compareDate };
+    const dayOfWeek = day.getUTCDay();
+    return { valid: dayOfWeek >= 1 && dayOfWeek <= 5 };
 }
 
 /**
- * Validates if a date is after or equal to another date
+ * Validates if a date falls on one of the given days of the week
  * @param {string} value - The date string to validate
- * @param {Array} parameters - Array containing the reference date or field name
- * @param {HTMLElement} form - The form element
- * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {Array} parameters - Day names, short or full (mon, wed, friday)
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateAfterOrEqual(value, parameters, form, attributeType) {
+function validateDayIn(value, parameters, format, timezone) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
-    let compareDate;
+    const days = parameters.map(parameter => validationDayNames.findIndex(name => (
+        [name.toLowerCase(), name.slice(0, 3).toLowerCase()].includes(parameter.trim().toLowerCase())
+    )));
     
-    // Check if parameter is a field name
-    const compareElement = form.querySelector(`[${attributeType}="${parameters[0]}"]`);
-    if (compareElement) {
-        const compareValue = getFieldValue(compareElement);
-        compareDate = new Date(compareValue);
-    } else {
-        compareDate = new Date(parameters[0]);
+    if (days.includes(-1)) {
+        console.warn(`Unknown day in day_in:${parameters.join(',')}, use mon, tue, wed, thu, fri, sat or sun`);
     }
     
-    const valueDate = new Date(value);
-    
-    if (isNaN(compareDate.getTime()) || isNaN(valueDate.getTime())) {
-        return { valid: false };
-    }
+    const day = getCalendarDay(value, format, timezone);
+    if (!day) return { valid: false };
     
-    return { valid: valueDate >= compareDate };
+    return { valid: days.includes(day.getUTCDay()) };
 }
 
 /**
- * Validates if a date is before or equal to another date
+ * Validates if a date is a business day: a weekday that is not a holiday
  * @param {string} value - The date string to validate
- * @param {Array} parameters - Array containing the reference date or field name
- * @param {HTMLElement} form - The form element
- * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {Array} parameters - Holiday calendar names (optional, the 'default' calendar when it is registered)
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateBeforeOrEqual(value, parameters, form, attributeType) {
+function validateBusinessDay(value, parameters, format, timezone) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
-    let compareDate;
+    const day = getCalendarDay(value, format, timezone);
+    if (!day) return { valid: false };
     
-    // Check if parameter is a field name
-    const compareElement = form.querySelector(`[${attributeType}="${parameters[0]}"]`);
-    if (compareElement) {
-        const compareValue = getFieldValue(compareElement);
-        compareDate = new Date(compareValue);
-    } else {
-        compareDate = new Date(parameters[0]);
-    }
+    const calendars = parameters.length > 0 ? parameters : Object.keys(validationHolidays).filter(name => name === 'default');
+    const dayOfWeek = day.getUTCDay();
     
-    const valueDate = new Date(value);
+    return { valid: dayOfWeek >= 1 && dayOfWeek <= 5 && !isHoliday(day, calendars) };
+}
+
+/**
+ * Validates if a date is not a holiday of the given calendars
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Holiday calendar names registered with validationJsHolidays()
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateNotHoliday(value, parameters, format, timezone) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
     
-    if (isNaN(compareDate.getTime()) || isNaN(valueDate.getTime())) {
-        return { valid: false };
-    }
+    const day = getCalendarDay(value, format, timezone);
+    if (!day) return { valid: false };
     
-    return { valid: valueDate <= compareDate };
+    return { valid: !isHoliday(day, parameters) };
 }
 
 /**
- * Validates if a date falls on a weekend (Saturday or Sunday)
+ * Check if a calendar day is a holiday of one of the calendars
+ * @param {Date} day - Day from getCalendarDay
+ * @param {Array} calendars - Holiday calendar names
+ * @returns {boolean} - True if a calendar lists the day
+ * @throws {Error} - If a calendar is not registered
+ */
+function isHoliday(day, calendars) {
+    const isoDate = day.toISOString().slice(0, 10);
+    
+    return calendars.some(name => {
+        const calendar = validationHolidays[name.trim()];
+        // A misspelled calendar must not accept every date, the rule fails with a validation error
+        if (!calendar) {
+            throw new Error(`Unknown holiday calendar "${name}". Register it with validationJsHolidays().`);
+        }
+        
+        // Dates without a year (m-d) repeat every year
+        return calendar.dates.has(isoDate) || calendar.dates.has(isoDate.slice(5)) || (calendar.fn !== null && Boolean(calendar.fn(isoDate)));
+    });
+}
+
+/**
+ * Validates if a date is at least the given number of days from today
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the number of days
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone, today is taken in this timezone (optional)
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateMinLeadDays(value, parameters, format, timezone) {
+    return compareLeadDays(value, parameters, format, timezone, (days, limit) => days >= limit);
+}
+
+/**
+ * Validates if a date is at most the given number of days from today
  * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the number of days
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone, today is taken in this timezone (optional)
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateWeekend(value) {
+function validateMaxLeadDays(value, parameters, format, timezone) {
+    return compareLeadDays(value, parameters, format, timezone, (days, limit) => days <= limit);
+}
+
+/**
+ * Compare the number of calendar days between today and a date with a limit
+ * @param {string} value - The date string to validate
+ * @param {Array} parameters - Array containing the number of days
+ * @param {string} format - Date format declared with date_format (optional)
+ * @param {string} timezone - Timezone declared with date_timezone (optional)
+ * @param {Function} compare - Comparison (days, limit) => boolean, days is negative for past dates
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function compareLeadDays(value, parameters, format, timezone, compare) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
-    const date = new Date(value);
-    if (isNaN(date.getTime())) return { valid: false };
+    const limit = parseInt(parameters[0], 10);
+    const day = getCalendarDay(value, format, timezone);
+    if (isNaN(limit) || !day) return { valid: false };
     
-    const dayOfWeek = date.getDay(); // 0 = Sunday, 6 = Saturday
-    return { valid: dayOfWeek === 0 || dayOfWeek === 6 };
+    const today = getWallClock(new Date(), timezone);
+    today.setUTCHours(0, 0, 0, 0);
+    
+    return { valid: compare(Math.round((day.getTime() - today.getTime()) / 86400000), limit) };
 }
 
 /**
@@ -1547,18 +4559,23 @@ function validateBoolean(value) {
  * @param {HTMLElement} element - The form element
  * @param {HTMLElement} form - The form element
  * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {Object} context - Validation context, provides the field name when there is no element
  * @returns {Object} - Object with valid property indicating validation result
  */
-function validateConfirmed(value, element, form, attributeType) {
-    const confirmationFieldName = element.getAttribute(attributeType) + '_confirmation';
-    const confirmationElement = form.querySelector(`[${attributeType}="${confirmationFieldName}"]`);
+function validateConfirmed(value, element, form, attributeType, context = {}) {
+    const fieldName = element ? element.getAttribute(attributeType) : context.fieldName;
     
-    if (!confirmationElement) {
-        return { valid: false, message: 'Confirmation field not found' };
+    // items[0][password] is confirmed by items[0][password_confirmation]
+    const confirmationName = /\[[^\[\]]+\]$/.test(fieldName)
+        ? fieldName.replace(/\]$/, '_confirmation]')
+        : fieldName + '_confirmation';
+    const confirmationField = getOtherField(form, confirmationName, attributeType);
+    
+    if (!confirmationField) {
+        return { valid: false, message: getVariantMessage('confirmed', 'missing') };
     }
     
-    const confirmationValue = getFieldValue(confirmationElement);
-    return { valid: value === confirmationValue };
+    return { valid: value === confirmationField.value };
 }
 
 /**
@@ -1594,14 +4611,13 @@ function validateAlphaNum(value) {
  * @returns {Object} - Object with valid property indicating validation result
  */
 function validateSame(value, parameters, form, attributeType) {
-    const compareElement = form.querySelector(`[${attributeType}="${parameters[0]}"]`);
+    const compareField = getOtherField(form, parameters[0], attributeType);
     
-    if (!compareElement) {
-        return { valid: false, message: 'Comparison field not found' };
+    if (!compareField) {
+        return { valid: false, message: getVariantMessage('same', 'missing') };
     }
     
-    const compareValue = getFieldValue(compareElement);
-    return { valid: value === compareValue };
+    return { valid: value === compareField.value };
 }
 
 /**
@@ -1613,14 +4629,13 @@ function validateSame(value, parameters, form, attributeType) {
  * @returns {Object} - Object with valid property indicating validation result
  */
 function validateDifferent(value, parameters, form, attributeType) {
-    const compareElement = form.querySelector(`[${attributeType}="${parameters[0]}"]`);
+    const compareField = getOtherField(form, parameters[0], attributeType);
     
-    if (!compareElement) {
+    if (!compareField) {
         return { valid: true }; // If comparison field doesn't exist, validation passes
     }
     
-    const compareValue = getFieldValue(compareElement);
-    return { valid: value !== compareValue };
+    return { valid: value !== compareField.value };
 }
 
 /**
@@ -1632,6 +4647,11 @@ function validateDifferent(value, parameters, form, attributeType) {
 function validateIn(value, parameters) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
+    // Every selected value of a checkbox group or multi-select must be allowed
+    if (Array.isArray(value)) {
+        return { valid: value.every(item => parameters.includes(String(item))) };
+    }
+    
     return { valid: parameters.includes(String(value)) };
 }
 
@@ -1644,20 +4664,105 @@ function validateIn(value, parameters) {
 function validateNotIn(value, parameters) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
+    // None of the selected values of a checkbox group or multi-select may be disallowed
+    if (Array.isArray(value)) {
+        return { valid: !value.some(item => parameters.includes(String(item))) };
+    }
+    
     return { valid: !parameters.includes(String(value)) };
 }
 
+/**
+ * Collect the filled items of a value: the values of an array field, the options of a multi-select or the files of a file input
+ * @param {*} value - The value (or array of element values for group rules)
+ * @returns {Array} - Non-empty items
+ */
+function getGroupItems(value) {
+    const toItems = (item) => {
+        if (Array.isArray(item)) return item.flatMap(toItems);
+        if (typeof FileList !== 'undefined' && item instanceof FileList) return Array.from(item);
+        return [item];
+    };
+    
+    return toItems(value).filter(item => item !== null && item !== undefined && String(item).trim() !== '');
+}
+
+/**
+ * Validates the minimum number of filled items
+ * @param {*} value - The items to count
+ * @param {Array} parameters - Array containing the minimum count
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateMinItems(value, parameters) {
+    return { valid: getGroupItems(value).length >= parseInt(parameters[0], 10) };
+}
+
+/**
+ * Validates the maximum number of filled items
+ * @param {*} value - The items to count
+ * @param {Array} parameters - Array containing the maximum count
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateMaxItems(value, parameters) {
+    return { valid: getGroupItems(value).length <= parseInt(parameters[0], 10) };
+}
+
+/**
+ * Validates that the filled items have no duplicates
+ * @param {*} value - The items to compare
+ * @param {Array} parameters - ['ignore_case'] to compare strings case-insensitively (optional)
+ * @returns {Object} - Object with valid property and, for a duplicate, the index of the value holding it
+ */
+function validateDistinct(value, parameters) {
+    const ignoreCase = parameters.includes('ignore_case');
+    const seen = new Set();
+    
+    const values = Array.isArray(value) ? value : [value];
+    
+    for (let index = 0; index < values.length; index++) {
+        for (let item of getGroupItems(values[index])) {
+            // Files are compared by name and size
+            let key = typeof item === 'object' && 'name' in item && 'size' in item
+                ? `${item.name}:${item.size}`
+                : String(item).trim();
+            
+            if (ignoreCase) {
+                key = key.toLowerCase();
+            }
+            
+            // The index tells which row holds the duplicate
+            if (seen.has(key)) {
+                return { valid: false, index };
+            }
+            seen.add(key);
+        }
+    }
+    
+    return { valid: true };
+}
+
+/**
+ * Validates that at least one item is filled
+ * @param {*} value - The items to check
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateRequiredOneOf(value) {
+    return { valid: getGroupItems(value).length > 0 };
+}
+
 function validateRegex(value, parameters) {
     if (value === '' || value === null || value === undefined) return { valid: true };
     
     try {
         const regexString = parameters[0];
-        // Remove leading and trailing slashes if present
-        const cleanRegex = regexString.replace(/^\/|\/$/g, '');
-        const regex = new RegExp(cleanRegex);
+        // Use the flags of a /pattern/flags string, otherwise remove leading and trailing slashes if present
+        const delimited = regexString.match(/^\/([\s\S]*)\/([a-z]*)$/);
+        const regex = delimited
+            ? new RegExp(delimited[1], delimited[2])
+            : new RegExp(regexString.replace(/^\/|\/$/g, ''));
         return { valid: regex.test(value) };
     } catch (error) {
-        return { valid: false, message: 'Invalid regex pattern' };
+        return { valid: false, message: getRuleErrorMessage('regex') };
     }
 }
 
@@ -1821,209 +4926,533 @@ function validateLowercase(value) {
     }
 }
 
-function validateUppercase(value) {
-    if (value === '' || value === null || value === undefined) return { valid: true };
+function validateUppercase(value) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    try {
+        // Check if the string is all uppercase
+        return { valid: String(value).toUpperCase() === String(value) };
+    } catch (error) {
+        console.error('Error in uppercase validation:', error);
+        return { valid: false };
+    }
+}
+
+function validateDecimal(value, parameters) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    try {
+        // Default values
+        let minDecimalPlaces = 1;
+        let maxDecimalPlaces = null;
+        
+        // Parse parameters if provided
+        if (parameters && parameters.length > 0) {
+            if (parameters.length === 1) {
+                // Single parameter: exact number of decimal places
+                minDecimalPlaces = parseInt(parameters[0]);
+                maxDecimalPlaces = minDecimalPlaces;
+            } else if (parameters.length >= 2) {
+                // Min and max decimal places
+                minDecimalPlaces = parseInt(parameters[0]);
+                maxDecimalPlaces = parseInt(parameters[1]);
+            }
+        }
+        
+        // Check if value is a valid number
+        if (!/^[+-]?\d*\.?\d+$/.test(String(value))) {
+            return { valid: false };
+        }
+        
+        // Extract decimal part
+        const parts = String(value).split('.');
+        if (parts.length === 1) {
+            // No decimal part
+            return { valid: minDecimalPlaces === 0 };
+        }
+        
+        const decimalPlaces = parts[1].length;
+        
+        // Check if decimal places match requirements
+        if (maxDecimalPlaces !== null) {
+            return { valid: decimalPlaces >= minDecimalPlaces && decimalPlaces <= maxDecimalPlaces };
+        } else {
+            return { valid: decimalPlaces >= minDecimalPlaces };
+        }
+    } catch (error) {
+        console.error('Error in decimal validation:', error);
+        return { valid: false };
+    }
+}
+
+/**
+ * Validates if a value is greater than a number or another field
+ * @param {*} value - The value to validate
+ * @param {Array} parameters - Array containing the number or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateGreaterThan(value, parameters, form, attributeType) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareWithReference(value, parameters, form, attributeType, 'gt', (a, b) => a > b);
+}
+
+/**
+ * Validates if a value is greater than or equal to a number or another field
+ * @param {*} value - The value to validate
+ * @param {Array} parameters - Array containing the number or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateGreaterThanOrEqual(value, parameters, form, attributeType) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareWithReference(value, parameters, form, attributeType, 'gte', (a, b) => a >= b);
+}
+
+/**
+ * Validates if a value is less than a number or another field
+ * @param {*} value - The value to validate
+ * @param {Array} parameters - Array containing the number or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateLessThan(value, parameters, form, attributeType) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareWithReference(value, parameters, form, attributeType, 'lt', (a, b) => a < b);
+}
+
+/**
+ * Validates if a value is less than or equal to a number or another field
+ * @param {*} value - The value to validate
+ * @param {Array} parameters - Array containing the number or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function validateLessThanOrEqual(value, parameters, form, attributeType) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    return compareWithReference(value, parameters, form, attributeType, 'lte', (a, b) => a <= b);
+}
+
+/**
+ * Compare a value with a number or the value of another field,
+ * numbers are compared by value and anything else by length
+ * @param {*} value - The value to validate
+ * @param {Array} parameters - Array containing the number or field name
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use
+ * @param {string} ruleName - Rule name for error logging
+ * @param {Function} compare - Comparison (value, compareValue) => boolean
+ * @returns {Object} - Object with valid property indicating validation result
+ */
+function compareWithReference(value, parameters, form, attributeType, ruleName, compare) {
+    try {
+        if (parameters.length === 0) return { valid: false };
+        
+        // Check if parameter is a field name
+        const compareField = getOtherField(form, parameters[0], attributeType);
+        const compareValue = compareField ? compareField.value : parameters[0];
+        
+        // If both are numeric, compare as numbers
+        if (isNumericValue(value) && isNumericValue(compareValue)) {
+            return { valid: compare(parseFloat(value), parseFloat(compareValue)) };
+        }
+        
+        // Otherwise compare as strings
+        return { valid: compare(String(value).length, String(compareValue).length) };
+    } catch (error) {
+        console.error(`Error in ${ruleName} validation:`, error);
+        return { valid: false };
+    }
+}
+
+/**
+ * Validates the dimensions of every image file
+ * @param {*} value - The files to validate
+ * @param {Array} parameters - Constraints: width, height, min_width, max_width, min_height, max_height (pixels),
+ *                             ratio (16/9 or 1.5) with ratio_tolerance, min_megapixels, max_megapixels,
+ *                             orientation (landscape, portrait or square)
+ * @returns {Object|Promise<Object>} - Object with valid property, and the message of the broken constraint
+ */
+function validateDimensions(value, parameters) {
+    if (value === '' || value === null || value === undefined || !value) return { valid: true };
+    
+    try {
+        const files = getFiles(value);
+        if (!files) return { valid: false };
+        if (files.length === 0) return { valid: true };
+        
+        const constraints = parseDimensionConstraints(parameters);
+        
+        return Promise.all(files.map(file => getImageSize(file).then(size => ({
+            file,
+            size,
+            constraint: size === null ? null : checkDimensions(size.width, size.height, constraints)
+        })))).then(results => {
+            // Files that cannot be read as an image fail with the general message
+            const unreadable = results.find(result => result.size === null);
+            if (unreadable) {
+                return { valid: false, placeholders: { file: unreadable.file.name } };
+            }
+            
+            const invalid = results.find(result => result.constraint !== null);
+            if (!invalid) return { valid: true };
+            
+            return {
+                valid: false,
+                message: getVariantMessage('dimensions', invalid.constraint),
+                placeholders: { file: invalid.file.name, image_width: invalid.size.width, image_height: invalid.size.height }
+            };
+        });
+    } catch (error) {
+        console.error('Error in dimensions validation:', error);
+        return { valid: false };
+    }
+}
+
+/**
+ * Parse dimensions parameters like 'min_width=100' into constraint values by name
+ * @param {Array} parameters - The rule parameters
+ * @returns {Object} - Constraint values by name, as written in the rule
+ */
+function parseDimensionConstraints(parameters) {
+    const constraints = {};
+    for (const param of parameters) {
+        const [key, val] = param.split('=');
+        if (key && val) {
+            constraints[key.trim()] = val.trim();
+        }
+    }
+    
+    return constraints;
+}
+
+/**
+ * Read the size of an image file, SVG sizes come from the width/height or viewBox attributes
+ * @param {File} file - The image file
+ * @returns {Promise<Object|null>} - { width, height }, null if the file is not an image that can be read
+ */
+function getImageSize(file) {
+    const isSvg = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name || '');
+    
+    if (isSvg) {
+        return readFileText(file, 65536).then(getSvgSize, () => null);
+    }
+    
+    if (!/^image\//.test(file.type)) {
+        return Promise.resolve(null);
+    }
+    
+    return loadImageSize(file);
+}
+
+/**
+ * Read the beginning of a file as text
+ * @param {Blob} file - The file
+ * @param {number} length - Number of bytes
+ * @returns {Promise<string>} - The text
+ */
+function readFileText(file, length) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file.slice(0, length));
+    });
+}
+
+/**
+ * Get the size of an SVG document from the width/height attributes (plain or px), else from the viewBox
+ * @param {string} text - SVG source
+ * @returns {Object|null} - { width, height }, null if the size is not declared
+ */
+function getSvgSize(text) {
+    const svgTag = text.match(/<svg\b([^>]*)>/i);
+    if (!svgTag) return null;
     
-    try {
-        // Check if the string is all uppercase
-        return { valid: String(value).toUpperCase() === String(value) };
-    } catch (error) {
-        console.error('Error in uppercase validation:', error);
-        return { valid: false };
+    const getAttribute = (name) => {
+        const match = svgTag[1].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+        return match ? match[1].trim() : null;
+    };
+    
+    const toPixels = (length) => {
+        const match = length !== null ? length.match(/^(\d+(?:\.\d+)?)(px)?$/i) : null;
+        return match ? parseFloat(match[1]) : null;
+    };
+    
+    const width = toPixels(getAttribute('width'));
+    const height = toPixels(getAttribute('height'));
+    if (width !== null && height !== null) {
+        return { width, height };
+    }
+    
+    const viewBox = (getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        return { width: viewBox[2], height: viewBox[3] };
     }
+    
+    return null;
 }
 
-function validateDecimal(value, parameters) {
-    if (value === '' || value === null || value === undefined) return { valid: true };
-    
-    try {
-        // Default values
-        let minDecimalPlaces = 1;
-        let maxDecimalPlaces = null;
+/**
+ * Load an image file to read its size
+ * @param {File} file - The image file
+ * @returns {Promise<Object|null>} - { width, height }, null if the image cannot be loaded
+ */
+function loadImageSize(file) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        const objectURL = URL.createObjectURL(file);
         
-        // Parse parameters if provided
-        if (parameters && parameters.length > 0) {
-            if (parameters.length === 1) {
-                // Single parameter: exact number of decimal places
-                minDecimalPlaces = parseInt(parameters[0]);
-                maxDecimalPlaces = minDecimalPlaces;
-            } else if (parameters.length >= 2) {
-                // Min and max decimal places
-                minDecimalPlaces = parseInt(parameters[0]);
-                maxDecimalPlaces = parseInt(parameters[1]);
-            }
-        }
+        img.onload = function() {
+            URL.revokeObjectURL(objectURL);
+            resolve({ width: img.width, height: img.height });
+        };
         
-        // Check if value is a valid number
-        if (!/^[+-]?\d*\.?\d+$/.test(String(value))) {
-            return { valid: false };
-        }
+        img.onerror = function() {
+            URL.revokeObjectURL(objectURL);
+            resolve(null);
+        };
         
-        // Extract decimal part
-        const parts = String(value).split('.');
-        if (parts.length === 1) {
-            // No decimal part
-            return { valid: minDecimalPlaces === 0 };
-        }
+        img.src = objectURL;
+    });
+}
+
+/**
+ * Check an image size against the dimensions constraints
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} constraints - Constraint values by name, as written in the rule
+ * @returns {string|null} - Name of the first broken constraint, null if every constraint is met
+ */
+function checkDimensions(width, height, constraints) {
+    const number = (name) => parseFloat(constraints[name]);
+    
+    if (constraints.width && width !== number('width')) return 'width';
+    if (constraints.height && height !== number('height')) return 'height';
+    if (constraints.min_width && width < number('min_width')) return 'min_width';
+    if (constraints.max_width && width > number('max_width')) return 'max_width';
+    if (constraints.min_height && height < number('min_height')) return 'min_height';
+    if (constraints.max_height && height > number('max_height')) return 'max_height';
+    
+    if (constraints.ratio) {
+        const [numerator, denominator = '1'] = constraints.ratio.split('/');
+        const ratio = parseFloat(numerator) / parseFloat(denominator);
         
-        const decimalPlaces = parts[1].length;
+        // Without a tolerance, allow the rounding of one pixel like Laravel
+        const tolerance = constraints.ratio_tolerance ? number('ratio_tolerance') : 1 / (Math.max(width, height) + 1);
         
-        // Check if decimal places match requirements
-        if (maxDecimalPlaces !== null) {
-            return { valid: decimalPlaces >= minDecimalPlaces && decimalPlaces <= maxDecimalPlaces };
-        } else {
-            return { valid: decimalPlaces >= minDecimalPlaces };
-        }
-    } catch (error) {
-        console.error('Error in decimal validation:', error);
-        return { valid: false };
+        if (isNaN(ratio) || Math.abs(width / height - ratio) > tolerance) return 'ratio';
+    }
+    
+    const megapixels = width * height / 1000000;
+    if (constraints.min_megapixels && megapixels < number('min_megapixels')) return 'min_megapixels';
+    if (constraints.max_megapixels && megapixels > number('max_megapixels')) return 'max_megapixels';
+    
+    if (constraints.orientation) {
+        const orientation = width > height ? 'landscape' : (width < height ? 'portrait' : 'square');
+        if (orientation !== constraints.orientation.toLowerCase()) return 'orientation';
     }
+    
+    return null;
 }
 
-function validateGreaterThan(value, parameters, form, attributeType) {
-    if (value === '' || value === null || value === undefined) return { valid: true };
+/**
+ * Validates the duration of every audio or video file against a number of seconds
+ * @param {*} value - The files to validate
+ * @param {Array} parameters - Array containing the number of seconds
+ * @param {string} ruleName - duration_min or duration_max, for error logs
+ * @param {Function} compare - Compares the duration with the seconds
+ * @returns {Object|Promise<Object>} - Object with valid property indicating validation result
+ */
+function validateDuration(value, parameters, ruleName, compare) {
+    if (value === '' || value === null || value === undefined || !value) return { valid: true };
     
     try {
-        if (parameters.length === 0) return { valid: false };
-        
-        let compareValue;
-        
-        // Check if parameter is a field name
-        const compareElement = form.querySelector(`[${attributeType}="${parameters[0]}"]`);
-        if (compareElement) {
-            compareValue = getFieldValue(compareElement);
-        } else {
-            compareValue = parameters[0];
-        }
+        const files = getFiles(value);
+        if (!files) return { valid: false };
+        if (files.length === 0) return { valid: true };
         
-        // If both are numeric, compare as numbers
-        if (isNumericValue(value) && isNumericValue(compareValue)) {
-            return { valid: parseFloat(value) > parseFloat(compareValue) };
-        }
+        const seconds = parseFloat(parameters[0]);
+        if (isNaN(seconds)) return { valid: false };
         
-        // Otherwise compare as strings
-        return { valid: String(value).length > String(compareValue).length };
+        return Promise.all(files.map(file => loadMediaMetadata(file).catch(() => null).then(metadata => ({ file, metadata })))).then(results => {
+            const invalid = results.find(({ metadata }) => metadata === null || !compare(metadata.duration, seconds));
+            if (!invalid) return { valid: true };
+            
+            return {
+                valid: false,
+                placeholders: invalid.metadata ? { file: invalid.file.name, duration: Math.round(invalid.metadata.duration) } : { file: invalid.file.name }
+            };
+        });
     } catch (error) {
-        console.error('Error in gt validation:', error);
+        console.error(`Error in ${ruleName} validation:`, error);
         return { valid: false };
     }
 }
 
-function validateLessThan(value, parameters, form, attributeType) {
-    if (value === '' || value === null || value === undefined) return { valid: true };
+/**
+ * Validates the dimensions of every video file, with the constraints of the dimensions rule
+ * @param {*} value - The files to validate
+ * @param {Array} parameters - Constraints like min_width=640, ratio=16/9 or orientation=portrait
+ * @returns {Object|Promise<Object>} - Object with valid property indicating validation result
+ */
+function validateVideoDimensions(value, parameters) {
+    if (value === '' || value === null || value === undefined || !value) return { valid: true };
     
     try {
-        if (parameters.length === 0) return { valid: false };
-        
-        let compareValue;
-        
-        // Check if parameter is a field name
-        const compareElement = form.querySelector(`[${attributeType}="${parameters[0]}"]`);
-        if (compareElement) {
-            compareValue = getFieldValue(compareElement);
-        } else {
-            compareValue = parameters[0];
-        }
+        const files = getFiles(value);
+        if (!files) return { valid: false };
+        if (files.length === 0) return { valid: true };
         
-        // If both are numeric, compare as numbers
-        if (isNumericValue(value) && isNumericValue(compareValue)) {
-            return { valid: parseFloat(value) < parseFloat(compareValue) };
-        }
+        const constraints = parseDimensionConstraints(parameters);
         
-        // Otherwise compare as strings
-        return { valid: String(value).length < String(compareValue).length };
+        return Promise.all(files.map(file => loadMediaMetadata(file).catch(() => null).then(metadata => ({ file, metadata })))).then(results => {
+            // Audio files load without a picture, their size is 0 x 0
+            const invalid = results.find(({ metadata }) => metadata === null || !metadata.width || !metadata.height ||
+                checkDimensions(metadata.width, metadata.height, constraints) !== null);
+            if (!invalid) return { valid: true };
+            
+            return {
+                valid: false,
+                placeholders: invalid.metadata ? { file: invalid.file.name, video_width: invalid.metadata.width, video_height: invalid.metadata.height } : { file: invalid.file.name }
+            };
+        });
     } catch (error) {
-        console.error('Error in lt validation:', error);
+        console.error('Error in video_dimensions validation:', error);
         return { valid: false };
     }
 }
 
-function validateLessThanOrEqual(value, parameters, form, attributeType) {
-    if (value === '' || value === null || value === undefined) return { valid: true };
+/**
+ * Validates the number of audio channels of every audio file (1 for mono, 2 for stereo)
+ * @param {*} value - The files to validate
+ * @param {Array} parameters - The allowed channel counts
+ * @returns {Object|Promise<Object>} - Object with valid property indicating validation result
+ */
+function validateAudioChannels(value, parameters) {
+    if (value === '' || value === null || value === undefined || !value) return { valid: true };
     
     try {
-        if (parameters.length === 0) return { valid: false };
-        
-        let compareValue;
-        
-        // Check if parameter is a field name
-        const compareElement = form.querySelector(`[${attributeType}="${parameters[0]}"]`);
-        if (compareElement) {
-            compareValue = getFieldValue(compareElement);
-        } else {
-            compareValue = parameters[0];
-        }
+        const files = getFiles(value);
+        if (!files) return { valid: false };
+        if (files.length === 0) return { valid: true };
         
-        // If both are numeric, compare as numbers
-        if (isNumericValue(value) && isNumericValue(compareValue)) {
-            return { valid: parseFloat(value) <= parseFloat(compareValue) };
-        }
+        const allowed = parameters.map(param => parseInt(param, 10));
         
-        // Otherwise compare as strings
-        return { valid: String(value).length <= String(compareValue).length };
+        return Promise.all(files.map(file => loadAudioChannels(file).then(channels => ({ file, channels })))).then(results => {
+            const invalid = results.find(({ channels }) => channels === null || !allowed.includes(channels));
+            if (!invalid) return { valid: true };
+            
+            return {
+                valid: false,
+                placeholders: invalid.channels !== null ? { file: invalid.file.name, channels: invalid.channels } : { file: invalid.file.name }
+            };
+        });
     } catch (error) {
-        console.error('Error in lte validation:', error);
+        console.error('Error in audio_channels validation:', error);
         return { valid: false };
     }
 }
 
-function validateDimensions(value, parameters) {
-    if (value === '' || value === null || value === undefined || !value || !value.length) return { valid: true };
+/**
+ * Load the metadata of an audio or video file through a media element
+ * @param {File} file - The audio or video file
+ * @returns {Promise<Object|null>} - { duration, width, height } (seconds, pixels), null if the file is not audio or video;
+ *                                   rejects when the browser cannot load it or takes longer than validationMediaTimeout
+ */
+function loadMediaMetadata(file) {
+    if (!/^(audio|video)\//.test(file.type)) {
+        return Promise.resolve(null);
+    }
     
-    try {
-        // Early return if no files
-        if (!(value instanceof FileList) || value.length === 0) return { valid: false };
+    return new Promise((resolve, reject) => {
+        const media = document.createElement(file.type.indexOf('audio/') === 0 ? 'audio' : 'video');
+        const objectURL = URL.createObjectURL(file);
         
-        // Parse parameters
-        const constraints = {};
-        for (const param of parameters) {
-            const [key, val] = param.split('=');
-            if (key && val) {
-                constraints[key.trim()] = parseInt(val.trim());
-            }
-        }
+        // Every outcome detaches the handlers and revokes the object URL
+        const finish = (callback, value) => {
+            clearTimeout(timer);
+            media.onloadedmetadata = media.ondurationchange = media.onerror = null;
+            media.removeAttribute('src');
+            URL.revokeObjectURL(objectURL);
+            callback(value);
+        };
         
-        // We can only validate client-side for certain image file types
-        const file = value[0];
-        const validImageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp'];
+        const timer = setTimeout(() => {
+            finish(reject, new Error(`Loading the metadata of ${file.name} timed out`));
+        }, validationMediaTimeout);
         
-        if (!validImageTypes.includes(file.type)) {
-            // If not an image we can process, return valid and let server validate
-            return { valid: true };
-        }
+        const getMetadata = () => ({ duration: media.duration, width: media.videoWidth || 0, height: media.videoHeight || 0 });
         
-        return new Promise((resolve) => {
-            const img = new Image();
-            const objectURL = URL.createObjectURL(file);
-            
-            img.onload = function() {
-                URL.revokeObjectURL(objectURL);
-                const width = img.width;
-                const height = img.height;
-                let valid = true;
-                
-                // Check each constraint
-                if (constraints.min_width && width < constraints.min_width) valid = false;
-                if (constraints.max_width && width > constraints.max_width) valid = false;
-                if (constraints.min_height && height < constraints.min_height) valid = false;
-                if (constraints.max_height && height > constraints.max_height) valid = false;
-                if (constraints.width && width !== constraints.width) valid = false;
-                if (constraints.height && height !== constraints.height) valid = false;
-                
-                resolve({ valid });
-            };
+        media.onloadedmetadata = function() {
+            if (isFinite(media.duration)) {
+                finish(resolve, getMetadata());
+                return;
+            }
             
-            img.onerror = function() {
-                URL.revokeObjectURL(objectURL);
-                resolve({ valid: false });
+            // Recordings of MediaRecorder have no duration in their header, seeking to the end makes the browser compute it
+            media.ondurationchange = function() {
+                if (isFinite(media.duration)) finish(resolve, getMetadata());
             };
-            
-            img.src = objectURL;
-        });
-    } catch (error) {
-        console.error('Error in dimensions validation:', error);
-        return { valid: false };
+            media.currentTime = Number.MAX_SAFE_INTEGER;
+        };
+        
+        media.onerror = function() {
+            finish(reject, new Error(`The browser cannot load ${file.name}`));
+        };
+        
+        media.preload = 'metadata';
+        media.src = objectURL;
+    });
+}
+
+/**
+ * Count the channels of an audio file: WAV files from their header, other files by decoding them
+ * when they are not larger than validationAudioDecodeLimit (media elements do not expose channels)
+ * @param {File} file - The audio file
+ * @returns {Promise<number|null>} - Number of channels, null if the file cannot be read or is too large to decode
+ */
+function loadAudioChannels(file) {
+    if (!/^(audio|video)\//.test(file.type)) {
+        return Promise.resolve(null);
     }
+    
+    return readFileHeader(file, 64).then(bytes => {
+        // RIFF/WAVE with the fmt chunk first, the channel count is a 16-bit little endian number at byte 22
+        const text = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+        if (bytes.length >= 24 && text(0, 4) === 'RIFF' && text(8, 12) === 'WAVE' && text(12, 16) === 'fmt ') {
+            return bytes[22] | (bytes[23] << 8);
+        }
+        
+        const AudioContext = typeof OfflineAudioContext === 'function' ? OfflineAudioContext
+            : (typeof webkitOfflineAudioContext === 'function' ? webkitOfflineAudioContext : null);
+        
+        if (!AudioContext) return null;
+        
+        // Decoding holds the whole file as raw samples in memory
+        if (file.size > validationAudioDecodeLimit) {
+            console.warn(`${file.name} is too large to count its audio channels, files over ${validationAudioDecodeLimit / 1024 / 1024}MB are not decoded.`);
+            return null;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        }).then(buffer => new Promise((resolve, reject) => {
+            // The callback form also works in Safari, where decodeAudioData returns no Promise
+            new AudioContext(1, 1, 44100).decodeAudioData(buffer, resolve, reject);
+        })).then(audioBuffer => audioBuffer.numberOfChannels);
+    }).catch(() => null);
 }
 
 function validateNullable() {
@@ -2037,10 +5466,10 @@ function validateRequiredWith(value, parameters, form, attributeType) {
         let anyFieldHasValue = false;
         
         for (const fieldName of parameters) {
-            const fieldElement = form.querySelector(`[${attributeType}="${fieldName}"]`);
-            if (!fieldElement) continue;
+            const field = getOtherField(form, fieldName, attributeType);
+            if (!field) continue;
             
-            const fieldValue = getFieldValue(fieldElement);
+            const fieldValue = field.value;
             if (fieldValue !== null && fieldValue !== undefined && String(fieldValue).trim() !== '') {
                 anyFieldHasValue = true;
                 break;
@@ -2049,7 +5478,7 @@ function validateRequiredWith(value, parameters, form, attributeType) {
         
         // If any field has value, then validate as required
         if (anyFieldHasValue) {
-            return validateRequired(value);
+            return validateRequired(value, null);
         }
         
         // Otherwise, field is optional
@@ -2110,10 +5539,9 @@ function validateImage(value) {
     if (value === '' || value === null || value === undefined || !value) return { valid: true };
     
     try {
-        if (!(value instanceof FileList)) return { valid: false };
-        if (value.length === 0) return { valid: true }; // Empty is valid if not required
+        const files = getFiles(value);
+        if (!files) return { valid: false };
         
-        const file = value[0];
         const validImageTypes = [
             'image/jpeg', 
             'image/png', 
@@ -2124,13 +5552,167 @@ function validateImage(value) {
             'image/tiff'
         ];
         
-        return { valid: validImageTypes.includes(file.type) };
+        // Every file must be an image, empty is valid if not required
+        const invalidFile = files.find(file => !validImageTypes.includes(file.type));
+        return invalidFile ? { valid: false, placeholders: { file: invalidFile.name } } : { valid: true };
     } catch (error) {
         console.error('Error in image validation:', error);
         return { valid: false };
     }
 }
 
+/**
+ * Validates a value against a server endpoint returning { valid, message } JSON
+ * @param {*} value - The field value to validate
+ * @param {Array} parameters - Array containing the URL followed by other field names to send along
+ * @param {HTMLElement} element - The form element
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {Object} context - Validation context, requests are debounced when context.live is true
+ * @returns {Object|Promise<Object>} - Cached result for an unchanged value, otherwise a Promise of the result
+ */
+function validateRemote(value, parameters, element, form, attributeType, context = {}) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    const [url] = parameters;
+    if (!url) {
+        return { valid: false, message: getVariantMessage('remote', 'url') };
+    }
+    
+    const { payload, requestKey, state } = getRemoteRequest(value, parameters, element, form, attributeType, context);
+    
+    // Same request already answered, no need to ask the server again
+    if (state.result && state.requestKey === requestKey) {
+        return state.result;
+    }
+    
+    // Cancel the out of date request, its callers wait for the new one
+    clearTimeout(state.timer);
+    if (state.controller) {
+        state.controller.abort();
+        state.controller = null;
+    }
+    state.requestKey = requestKey;
+    state.result = null;
+    
+    // Resolve every caller waiting for this field, including superseded ones
+    const finish = (result, cache) => {
+        state.controller = null;
+        state.result = cache ? result : null;
+        state.waiters.splice(0).forEach(resolve => resolve(result));
+    };
+    
+    const sendRequest = () => {
+        const fetchFn = validationRemoteSettings.fetch || ((...args) => fetch(...args));
+        const method = validationRemoteSettings.method.toUpperCase();
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const options = {
+            method,
+            credentials: validationRemoteSettings.credentials,
+            headers: { 'Accept': 'application/json', ...validationRemoteSettings.headers },
+            signal: controller ? controller.signal : undefined
+        };
+        let requestUrl = url;
+        
+        if (method === 'GET') {
+            const query = new URLSearchParams();
+            for (const key in payload) {
+                [].concat(payload[key]).forEach(item => query.append(key, item));
+            }
+            requestUrl += (url.includes('?') ? '&' : '?') + query.toString();
+        } else {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(payload);
+        }
+        
+        state.controller = controller;
+        
+        Promise.resolve(fetchFn(requestUrl, options))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Remote validation failed with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => {
+                if (state.requestKey !== requestKey) return;
+                
+                const result = { valid: !!(data && data.valid) };
+                if (data && data.message) {
+                    result.message = data.message;
+                }
+                finish(result, true);
+            })
+            .catch(error => {
+                if (state.requestKey !== requestKey || (error && error.name === 'AbortError')) return;
+                
+                console.error('Error in remote validation:', error);
+                finish({ valid: false, message: getVariantMessage('remote', 'failed') }, false);
+            });
+    };
+    
+    return new Promise(resolve => {
+        state.waiters.push(resolve);
+        state.timer = setTimeout(sendRequest, context.live ? validationRemoteSettings.debounce : 0);
+    });
+}
+
+/**
+ * Get the payload of a remote request and the request state of its field
+ * @param {*} value - The field value
+ * @param {Array} parameters - Array containing the URL followed by other field names to send along
+ * @param {HTMLElement} element - The form element
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {Object} context - Validation context, provides the field name when there is no element
+ * @returns {Object} - { payload, requestKey, state }
+ */
+function getRemoteRequest(value, parameters, element, form, attributeType, context = {}) {
+    const [url, ...otherFields] = parameters;
+    
+    // Collect the field value and any other fields the endpoint needs
+    const fieldName = element ? element.getAttribute(attributeType) : context.fieldName;
+    const payload = { [fieldName]: value };
+    for (const otherFieldName of otherFields) {
+        const otherField = getOtherField(form, otherFieldName, attributeType);
+        payload[otherFieldName] = otherField ? otherField.value : '';
+    }
+    
+    const stateOwner = element || form;
+    if (!validationRemoteState.has(stateOwner)) {
+        validationRemoteState.set(stateOwner, {});
+    }
+    
+    const fieldStates = validationRemoteState.get(stateOwner);
+    if (!fieldStates[fieldName]) {
+        fieldStates[fieldName] = { requestKey: null, result: null, timer: null, controller: null, waiters: [] };
+    }
+    
+    return { payload, requestKey: url + JSON.stringify(payload), state: fieldStates[fieldName] };
+}
+
+/**
+ * Get the result of the remote rule without sending a request, for synchronous validation
+ * @param {*} value - The field value
+ * @param {Array} parameters - Array containing the URL followed by other field names to send along
+ * @param {HTMLElement} element - The form element
+ * @param {HTMLElement} form - The form element
+ * @param {string} attributeType - The attribute type to use ('name' or 'id')
+ * @param {Object} context - Validation context
+ * @returns {Object|null} - The last response for an unchanged value, null if the server has not answered it yet
+ */
+function getRemoteResult(value, parameters, element, form, attributeType, context = {}) {
+    if (value === '' || value === null || value === undefined) return { valid: true };
+    
+    if (!parameters[0]) {
+        return { valid: false, message: getVariantMessage('remote', 'url') };
+    }
+    
+    const { requestKey, state } = getRemoteRequest(value, parameters, element, form, attributeType, context);
+    
+    return state.result && state.requestKey === requestKey ? state.result : null;
+}
+
 /**
     * Get error message for a validation rule
     * @param {string} fieldName - Field name
@@ -2138,64 +5720,35 @@ function validateImage(value) {
     * @param {Object} fieldMessages - Custom field messages
     * @param {string} fieldLabel - Field label
     * @param {string} customMessage - Custom error message from validation
+    * @param {Object} placeholders - Values of named placeholders, e.g. { value: 'abc', other: 'Start Date', file: 'photo.jpg' } (optional)
     * @returns {string} - Error message
     */
-function getErrorMessage(fieldName, rule, fieldMessages, fieldLabel, customMessage) {
+function getErrorMessage(fieldName, rule, fieldMessages, fieldLabel, customMessage, placeholders = {}) {
     const { name, parameters } = rule;
     
-    // Helper function to replace all placeholders in a message
+    // Helper function to replace all placeholders in a message, in one pass so inserted values are left alone
     const replacePlaceholders = (message) => {
-        // Basic placeholders
-        let replacedMessage = message
-            .replace(/:label/g, fieldLabel)
-            .replace(/:attribute/g, fieldLabel)
-            .replace(/:field/g, fieldName)
-            .replace(/:value/g, 'the input');
-        
-        // Parameter placeholders
-        if (parameters && parameters.length > 0) {
-            // Replace indexed parameters: :param[0], :param[1], etc.
-            parameters.forEach((param, index) => {
-                replacedMessage = replacedMessage.replace(
-                    new RegExp(`:param\\[${index}\\]`, 'g'), 
-                    param
-                );
-            });
-            
-            // Common named placeholders
-            replacedMessage = replacedMessage
-                .replace(/:min/g, parameters[0])
-                .replace(/:max/g, parameters.length > 1 ? parameters[1] : parameters[0]);
-                
-            // Special handling for specific rules
-            switch (name) {
-                case 'between':
-                    replacedMessage = replacedMessage
-                        .replace(/:min_value/g, parameters[0])
-                        .replace(/:max_value/g, parameters[1]);
-                    break;
-                case 'mimes':
-                case 'in':
-                case 'not_in':
-                    replacedMessage = replacedMessage
-                        .replace(/:values/g, parameters.join(', '));
-                    break;
-                case 'dimensions':
-                    // Extract constraint values from parameters like 'min_width=100'
-                    const constraints = {};
-                    parameters.forEach(param => {
-                        const [key, val] = param.split('=');
-                        if (key && val) {
-                            constraints[key.trim()] = val.trim();
-                            replacedMessage = replacedMessage
-                                .replace(new RegExp(`:${key.trim()}`, 'g'), val.trim());
-                        }
-                    });
-                    break;
+        const values = { label: fieldLabel, attribute: fieldLabel, field: fieldName };
+        
+        Object.keys(placeholders).forEach(key => {
+            if (placeholders[key] !== undefined && !Object.prototype.hasOwnProperty.call(values, key)) {
+                values[key] = String(placeholders[key]);
             }
-        }
+        });
         
-        return replacedMessage;
+        return message.replace(/( ?):(?:param\[(\d+)\]|([A-Za-z_]\w*))/g, (match, space, index, key) => {
+            // Indexed parameters: :param[0], :param[1], etc.
+            if (index !== undefined) {
+                return parameters && index < parameters.length ? space + parameters[index] : match;
+            }
+            
+            if (Object.prototype.hasOwnProperty.call(values, key)) {
+                return space + values[key];
+            }
+            
+            // :file names the offending file and is dropped when the result has none
+            return key === 'file' ? '' : match;
+        });
     };
     
     // Check for custom message for this specific rule
@@ -2208,65 +5761,13 @@ function getErrorMessage(fieldName, rule, fieldMessages, fieldLabel, customMessa
         return replacePlaceholders(customMessage);
     }
     
-    // Default messages
-    const defaultMessages = {
-        required: `The ${fieldLabel} field is required.`,
-        required_if: `The ${fieldLabel} field is required when specified conditions are met.`,
-        string: `The ${fieldLabel} field must be a string.`,
-        numeric: `The ${fieldLabel} field must be a number.`,
-        integer: `The ${fieldLabel} field must be an integer.`,
-        email: `The ${fieldLabel} field must be a valid email address.`,
-        array: `The ${fieldLabel} field must be an array.`,
-        file: `The ${fieldLabel} field must be a file.`,
-        size: `The ${fieldLabel} file size must not exceed ${parameters[0] || 8}MB.`,
-        mimes: `The ${fieldLabel} file must be a file of type: ${parameters.join(', ')}.`,
-        min: `The ${fieldLabel} field must be at least ${parameters[0]}.`,
-        max: `The ${fieldLabel} field must not be greater than ${parameters[0]}.`,
-        between: `The ${fieldLabel} field must be between ${parameters[0]} and ${parameters[1]}.`,
-        date: `The ${fieldLabel} field must be a valid date.`,
-        date_format: `The ${fieldLabel} field must match the format ${parameters[0]}.`,
-        after: `The ${fieldLabel} field must be a date after ${parameters[0]}.`,
-        before: `The ${fieldLabel} field must be a date before ${parameters[0]}.`,
-        after_or_equal: `The ${fieldLabel} field must be a date after or equal to ${parameters[0]}.`,
-        before_or_equal: `The ${fieldLabel} field must be a date before or equal to ${parameters[0]}.`,
-        weekend: `The ${fieldLabel} field must be a weekend date.`,
-        time: `The ${fieldLabel} field must be a valid time.`,
-        url: `The ${fieldLabel} field must be a valid URL.`,
-        boolean: `The ${fieldLabel} field must be true or false.`,
-        confirmed: `The ${fieldLabel} confirmation does not match.`,
-        alpha: `The ${fieldLabel} field must contain only letters.`,
-        alpha_num: `The ${fieldLabel} field must contain only letters and numbers.`,
-        same: `The ${fieldLabel} field must match ${parameters[0]}.`,
-        different: `The ${fieldLabel} field must be different from ${parameters[0]}.`,
-        in: `The selected ${fieldLabel} is invalid.`,
-        not_in: `The selected ${fieldLabel} is invalid.`,
-        regex: `The ${fieldLabel} field format is invalid.`,
-        json: `The ${fieldLabel} field must be a valid JSON string.`,
-        ip: `The ${fieldLabel} field must be a valid IP address.`,
-        ipv4: `The ${fieldLabel} field must be a valid IPv4 address.`,
-        ipv6: `The ${fieldLabel} field must be a valid IPv6 address.`,
-        uuid: `The ${fieldLabel} field must be a valid UUID.`,
-        digits: `The ${fieldLabel} field must be ${parameters[0]} digits.`,
-        digits_between: `The ${fieldLabel} field must be between ${parameters[0]} and ${parameters[1]} digits.`,
-        min_length: `The ${fieldLabel} must be at least ${parameters[0]} characters.`,
-        max_length: `The ${fieldLabel} may not be greater than ${parameters[0]} characters.`,
-        alpha_dash: `The ${fieldLabel} may only contain letters, numbers, dashes and underscores.`,
-        lowercase: `The ${fieldLabel} must be lowercase.`,
-        uppercase: `The ${fieldLabel} must be uppercase.`,
-        decimal: `The ${fieldLabel} must have ${parameters.length > 1 ? `${parameters[0]} to ${parameters[1]}` : parameters[0]} decimal places.`,
-        gt: `The ${fieldLabel} must be greater than ${parameters[0]}.`,
-        lt: `The ${fieldLabel} must be less than ${parameters[0]}.`,
-        lte: `The ${fieldLabel} must be less than or equal to ${parameters[0]}.`,
-        dimensions: `The ${fieldLabel} has invalid image dimensions.`,
-        required_with: `The ${fieldLabel} field is required when ${parameters.join(', ')} is present.`,
-        required_unless: `The ${fieldLabel} field is required unless ${parameters[0]} is in ${parameters.slice(1).join(', ')}.`,
-        contains: `The ${fieldLabel} field must contain: ${parameters.join(', ')}.`,
-        doesnt_contain: `The ${fieldLabel} field must not contain: ${parameters.join(', ')}.`,
-        accepted: `The ${fieldLabel} must be accepted.`,
-        image: `The ${fieldLabel} must be an image.`
-    };
-    
-    const defaultMessage = defaultMessages[name] || `The ${fieldLabel} field is invalid.`;
+    // Default messages: the active locale, the message of a custom rule, then English
+    const customRule = validationCustomRules[name];
+    const defaultMessage = getLocaleEntry('messages', name)
+        || (customRule && customRule.message)
+        || validationDefaultMessages[name]
+        || getLocaleEntry('messages', 'default')
+        || validationDefaultMessages.default;
     return replacePlaceholders(defaultMessage);
 }
 
@@ -2274,8 +5775,9 @@ function getErrorMessage(fieldName, rule, fieldMessages, fieldLabel, customMessa
  * Show errors using toastr if available, fallback to DOM manipulation
  * @param {Object} errorMessages - Error messages
  * @param {string} mode - Display mode ('single' or 'multi')
+ * @param {Object} toastrOptions - Toastr options overriding the defaults (optional)
  */
-function showToastrErrors(errorMessages, mode = 'single') {
+function showToastrErrors(errorMessages, mode = 'single', toastrOptions = {}) {
     // Check if toastr is available
     if (typeof toastr !== 'undefined') {
         let optionsToastr = {
@@ -2293,20 +5795,21 @@ function showToastrErrors(errorMessages, mode = 'single') {
             showEasing: "swing",
             hideEasing: "linear",
             showMethod: "fadeIn",
-            hideMethod: "fadeOut"
+            hideMethod: "fadeOut",
+            ...toastrOptions
         };
 
         if (mode === 'single') {
             const errorList = Object.values(errorMessages);
             if (errorList.length > 0) {
                 // Show all errors in a single toastr notification with ul/li format
-                const errorText = `<ul style="margin: 0; padding-left: 20px; line-height: 1.5;">${errorList.map(error => `<li style="margin-bottom: 5px;">${error}</li>`).join('')}</ul>`;
+                const errorText = `<ul style="margin: 0; padding-left: 20px; line-height: 1.5;">${errorList.map(error => `<li style="margin-bottom: 5px;">${escapeHtml(error)}</li>`).join('')}</ul>`;
                 toastr.error(errorText, 'Validation Errors', optionsToastr);
             }
         } else {
             // Multi mode - show each error separately
             Object.values(errorMessages).forEach(error => {
-                toastr.error(error, 'Error', optionsToastr);
+                toastr.error(escapeHtml(error), 'Error', optionsToastr);
             });
         }
     } else {
@@ -2327,7 +5830,7 @@ function showToastrErrors(errorMessages, mode = 'single') {
                 errorDiv.innerHTML = `
                     <strong>Validation Errors:</strong>
                     <ul>
-                        ${errorList.map(error => `<li>${error}</li>`).join('')}
+                        ${errorList.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
                     </ul>
                 `;
                 messagesDiv.appendChild(errorDiv);
@@ -2337,9 +5840,130 @@ function showToastrErrors(errorMessages, mode = 'single') {
             Object.values(errorMessages).forEach(error => {
                 const errorDiv = document.createElement('div');
                 errorDiv.className = 'error-list';
-                errorDiv.innerHTML = `<strong>Error:</strong> ${error}`;
+                errorDiv.innerHTML = `<strong>Error:</strong> ${escapeHtml(error)}`;
                 messagesDiv.appendChild(errorDiv);
             });
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Escape a value for use inside a CSS selector (items.0.qty => items\.0\.qty)
+ * @param {string} value - The value to escape
+ * @returns {string} - Escaped value
+ */
+function escapeSelector(value) {
+    if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+        return CSS.escape(String(value));
+    }
+    
+    return String(value).replace(/[^\w-]/g, character => `\\${character}`);
+}
+
+/**
+ * Escape HTML special characters
+ * @param {*} value - The value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+return {
+    validationJs,
+    validationJsAsync,
+    validationJsData,
+    validationJsDataAsync,
+    validationJsAttach,
+    validationJsError,
+    validationJsDebug,
+    validationJsExtend,
+    validationJsRemote,
+    validationJsLocale,
+    validationJsHolidays,
+    Validator,
+    
+    // Rule functions
+    validateRequired,
+    validateRequiredIf,
+    validateRequiredUnless,
+    validateRequiredWith,
+    validateNullable,
+    validateAccepted,
+    validateString,
+    validateNumeric,
+    validateInteger,
+    validateDecimal,
+    validateCurrency,
+    validateEmail,
+    validateUrl,
+    validateAlpha,
+    validateAlphaNum,
+    validateAlphaDash,
+    validateLowercase,
+    validateUppercase,
+    validateRegex,
+    validateArray,
+    validateBoolean,
+    validateJson,
+    validateFile,
+    validateImage,
+    validateSize,
+    validateMinSize,
+    validateTotalSize,
+    validateMinFiles,
+    validateMaxFiles,
+    validateMimes,
+    validateMimeTypes,
+    validateDimensions,
+    validateDuration,
+    validateVideoDimensions,
+    validateAudioChannels,
+    validateMin,
+    validateMax,
+    validateMinLength,
+    validateMaxLength,
+    validateBetween,
+    validateGreaterThan,
+    validateLessThan,
+    validateLessThanOrEqual,
+    validateGreaterThanOrEqual,
+    validateDigits,
+    validateDigitsBetween,
+    validateDate,
+    validateDateFormat,
+    validateAfter,
+    validateBefore,
+    validateAfterOrEqual,
+    validateBeforeOrEqual,
+    validateWeekend,
+    validateWeekday,
+    validateDayIn,
+    validateBusinessDay,
+    validateNotHoliday,
+    validateMinLeadDays,
+    validateMaxLeadDays,
+    validateTime,
+    validateConfirmed,
+    validateSame,
+    validateDifferent,
+    validateIn,
+    validateNotIn,
+    validateMinItems,
+    validateMaxItems,
+    validateDistinct,
+    validateRequiredOneOf,
+    validateContains,
+    validateDoesntContain,
+    validateIp,
+    validateIpv4,
+    validateIpv6,
+    validateUuid,
+    validateRemote
+};
+}));
@@ -1 +1 @@
-let validationErrors={},validationDebug=!1;function validationJs(e,t,i={},a="name"){validationErrors={};try{let n;if("string"==typeof e?n=document.getElementById(e.replace("#","")):n=e,!n)throw new Error("Form element not found");validationDebug&&(console.log("Validation started for form:",n),console.log("Rules:",t),console.log("Messages:",i));let l=!0;for(let e in t){const r=t[e];if(e.endsWith("[]")){const t=e.slice(0,-2),s=n.querySelectorAll(`[${a}="${e}"]`);0===s.length&&validationDebug&&console.warn(`Array field elements not found: ${e}`),s.forEach((e,s)=>{const o=`${t}_${s}`,d=getFieldValue(e),u=i[e]||{},c=u.label||t.replace(/_/g," ").replace(/\b\w/g,(e=>e.toUpperCase()));validationDebug&&console.log(`Validating array field: ${o}, value:`,d);const f=parseRules(r);for(let t of f){const r=validateRule(d,t,e,n,a);if(!r.valid){l=!1;const i=getErrorMessage(t,t,u,`${c} #${s+1}`,r.message);validationErrors[o]||(validationErrors[o]=[]),validationErrors[o].push(i),e.classList.add("error"),validationDebug&&console.log(`Validation failed for ${o}:`,i);break}}})}else{const t=n.querySelector(`[${a}="${e}"]`);if(!t){validationDebug&&console.warn(`Field element not found: ${e}`);continue}const s=getFieldValue(t),o=i[e]||{},d=o.label||e.replace(/_/g," ").replace(/\b\w/g,(e=>e.toUpperCase()));validationDebug&&console.log(`Validating field: ${e}, value:`,s);const u=parseRules(r);for(let i of u){const r=validateRule(s,i,t,n,a);if(!r.valid){l=!1;const a=getErrorMessage(e,i,o,d,r.message);validationErrors[e]||(validationErrors[e]=[]),validationErrors[e].push(a),t.classList.add("error"),validationDebug&&console.log(`Validation failed for ${e}:`,a);break}}}}return validationDebug&&(console.log("Validation completed. Is valid:",l),console.log("Errors:",validationErrors)),l}catch(e){return console.error("Validation error:",e),validationErrors._global=["Validation system error: "+e.message],!1}}function validationJsError(e="raw",t="single"){const i={};for(let e in validationErrors)validationErrors[e].length>0&&(i[e]=validationErrors[e][0]);return"raw"===e?i:"toastr"===e?void showToastrErrors(i,t):i}function validationJsDebug(e=!0){validationDebug=e}function getFieldValue(e){if("file"===e.type)return e.files;if("checkbox"===e.type)return e.checked;if("radio"===e.type){const t=e.closest("form").querySelector(`input[name="${e.name}"]:checked`);return t?t.value:""}return"SELECT"===e.tagName&&e.multiple?Array.from(e.selectedOptions).map((e=>e.value)):e.value}function parseRules(e){return"string"!=typeof e?[]:e.split("|").map((e=>{const t=e.split(":"),i=t[0],a=t.slice(1).join(":").split(",").filter((e=>""!==e));return{name:i,parameters:a}}))}function validateRule(e,t,i,a,n){const{name:l,parameters:r}=t;try{switch(l){case"required":return validateRequired(e,i);case"required_if":return validateRequiredIf(e,r,a,n);case"string":return validateString(e);case"numeric":case"double":case"float":return validateNumeric(e);case"integer":return validateInteger(e);case"email":return validateEmail(e);case"array":return validateArray(e);case"file":return validateFile(e);case"size":return validateSize(e,r,i);case"mimes":return validateMimes(e,r);case"min":return validateMin(e,r,i);case"max":return validateMax(e,r,i);case"between":return validateBetween(e,r,i);case"date":return validateDate(e);case"date_format":return validateDateFormat(e,r);case"after":return validateAfter(e,r);case"before":return validateBefore(e,r);case"after_or_equal":return validateAfterOrEqual(e,r,a,n);case"before_or_equal":return validateBeforeOrEqual(e,r,a,n);case"weekend":return validateWeekend(e);case"time":return validateTime(e);case"url":return validateUrl(e);case"boolean":return validateBoolean(e);case"confirmed":return validateConfirmed(e,i,a,n);case"alpha":return validateAlpha(e);case"alpha_num":return validateAlphaNum(e);case"same":return validateSame(e,r,a,n);case"different":return validateDifferent(e,r,a,n);case"in":return validateIn(e,r);case"not_in":return validateNotIn(e,r);case"regex":return validateRegex(e,r);case"json":return validateJson(e);case"ip":return validateIp(e);case"ipv4":return validateIpv4(e);case"ipv6":return validateIpv6(e);case"uuid":return validateUuid(e);case"digits":return validateDigits(e,r);case"digits_between":return validateDigitsBetween(e,r);case"currency":return validateCurrency(e,r);case"min_length":return validateMinLength(e,r);case"max_length":return validateMaxLength(e,r);case"alpha_dash":return validateAlphaDash(e);case"lowercase":return validateLowercase(e);case"uppercase":return validateUppercase(e);case"decimal":return validateDecimal(e,r);case"gt":return validateGreaterThan(e,r,a,n);case"lt":return validateLessThan(e,r,a,n);case"lte":return validateLessThanOrEqual(e,r,a,n);case"dimensions":return validateDimensions(e,r);case"nullable":return validateNullable(e);case"sometimes":return{valid:!0};case"required_with":return validateRequiredWith(e,r,a,n);case"required_unless":return validateRequiredUnless(e,r,a,n);case"contains":return validateContains(e,r);case"doesnt_contain":return validateDoesntContain(e,r);case"accepted":return validateAccepted(e);case"image":return validateImage(e);default:return{valid:!0}}}catch(t){return console.error(`Error validating rule ${l}:`,t),{valid:!1,message:`Validation error for rule ${l}`}}}function validateRequired(e,t){return"file"===t.type?{valid:e&&e.length>0}:Array.isArray(e)?{valid:e.length>0}:{valid:null!==e&&void 0!==e&&""!==String(e).trim()}}function validateRequiredIf(e,t,i,a){if(t.length<3)return{valid:!0};const[n,l,...r]=t,s=i.querySelector(`[${a}="${n}"]`);if(!s)return{valid:!0};const o=getFieldValue(s);let d=!1;switch(l){case"=":case"==":d=r.includes(String(o));break;case"!=":d=!r.includes(String(o))}return d?validateRequired(e,[],i,a):{valid:!0}}function validateString(e){return{valid:"string"==typeof e||null===e||void 0===e||""===e}}function validateNumeric(e){return""===e||null===e||void 0===e?{valid:!0}:"string"==typeof e&&/[eE]/.test(e)?{valid:!1}:{valid:!isNaN(e)&&!isNaN(parseFloat(e))}}function validateInteger(e){return""===e||null===e||void 0===e?{valid:!0}:"string"==typeof e&&/[eE]/.test(e)?{valid:!1}:{valid:Number.isInteger(Number(e))}}function validateEmail(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)}}function validateArray(e){if(""===e||null===e||void 0===e)return{valid:!0};return"string"==typeof e&&(e=e.split(",").map((e=>e.trim())).filter((e=>""!==e))),{valid:Array.isArray(e)}}function validateFile(e){return{valid:e&&e instanceof FileList}}function validateSize(e,t,i){if(!e||0===e.length)return{valid:!0};const a=t[0]?parseFloat(t[0]):4,n=1048576*a;if("file"===i.type)for(let t of e)if(t.size>n)return{valid:!1};return{valid:!0}}function validateMimes(e,t){if(!e||0===e.length)return{valid:!0};const i=t.map((e=>e.toLowerCase()));for(let t of e){if(!i.includes(t.name.toLowerCase().split(".").pop()))return{valid:!1}}return{valid:!0}}function isNumericValue(e){if("number"==typeof e)return!isNaN(e)&&isFinite(e);if("string"==typeof e){const t=e.trim();if(""===t||"."===t||"-"===t||"+"===t)return!1;if(!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(t))return!1;const i=parseFloat(t);return!isNaN(i)&&isFinite(i)}return!1}function validateMin(e,t,i){if(""===e||null===e||void 0===e)return{valid:!0};const a=parseFloat(t[0]);return"file"===i.type?{valid:e.length>=a}:isNumericValue(e)?{valid:parseFloat(e)>=a}:Array.isArray(e)||"string"==typeof e&&e.includes(",")?{valid:(Array.isArray(e)?e:e.split(",").map((e=>e.trim())).filter((e=>""!==e))).length>=a}:"string"==typeof e?{valid:e.length>=a}:{valid:parseFloat(e)>=a}}function validateMax(e,t,i){if(""===e||null===e||void 0===e)return{valid:!0};const a=parseFloat(t[0]);return"file"===i.type?{valid:e.length<=a}:isNumericValue(e)?{valid:parseFloat(e)<=a}:Array.isArray(e)||"string"==typeof e&&e.includes(",")?{valid:(Array.isArray(e)?e:e.split(",").map((e=>e.trim())).filter((e=>""!==e))).length<=a}:"string"==typeof e?{valid:e.length<=a}:{valid:parseFloat(e)<=a}}function validateBetween(e,t,i){if(""===e||null===e||void 0===e)return{valid:!0};const[a,n]=t.map((e=>parseFloat(e)));if("time"===i.type){const i=e=>{const[t,i]=e.split(":").map(Number);return 60*t+i},l=i(e),r=i(t[0]),s=i(t[1]);return{valid:l>=r&&l<=s}}return"string"==typeof e?{valid:e.length>=a&&e.length<=n}:{valid:parseFloat(e)>=a&&parseFloat(e)<=n}}function validateDate(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:!isNaN(new Date(e).getTime())}}function validateDateFormat(e,t){if(""===e||null===e||void 0===e)return{valid:!0};const i=t[0];if(!i)return{valid:!1};const a={["Y-m-d"]:/^\d{4}-\d{1,2}-\d{1,2}$/,["YYYY-MM-DD"]:/^\d{4}-\d{2}-\d{2}$/,["Y/m/d"]:/^\d{4}\/\d{1,2}\/\d{1,2}$/,["YYYY/MM/DD"]:/^\d{4}\/\d{2}\/\d{2}$/,["m/d/Y"]:/^\d{1,2}\/\d{1,2}\/\d{4}$/,["MM/DD/YYYY"]:/^\d{2}\/\d{2}\/\d{4}$/,["m-d-Y"]:/^\d{1,2}-\d{1,2}-\d{4}$/,["MM-DD-YYYY"]:/^\d{2}-\d{2}-\d{4}$/,["d/m/Y"]:/^\d{1,2}\/\d{1,2}\/\d{4}$/,["DD/MM/YYYY"]:/^\d{2}\/\d{2}\/\d{4}$/,["d-m-Y"]:/^\d{1,2}-\d{1,2}-\d{4}$/,["DD-MM-YYYY"]:/^\d{2}-\d{2}-\d{4}$/,["d.m.Y"]:/^\d{1,2}\.\d{1,2}\.\d{4}$/,["DD.MM.YYYY"]:/^\d{2}\.\d{2}\.\d{4}$/,["Y-m-d H:i"]:/^\d{4}-\d{1,2}-\d{1,2} \d{1,2}:\d{2}$/,["YYYY-MM-DD HH:mm"]:/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/,["Y-m-d H:i:s"]:/^\d{4}-\d{1,2}-\d{1,2} \d{1,2}:\d{2}:\d{2}$/,["YYYY-MM-DD HH:mm:ss"]:/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/,["H:i"]:/^\d{1,2}:\d{2}$/,["HH:mm"]:/^\d{2}:\d{2}$/,["H:i:s"]:/^\d{1,2}:\d{2}:\d{2}$/,["HH:mm:ss"]:/^\d{2}:\d{2}:\d{2}$/,["h:i A"]:/^\d{1,2}:\d{2} (AM|PM)$/i,["hh:mm A"]:/^\d{2}:\d{2} (AM|PM)$/i,c:/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}([+-]\d{2}:\d{2}|Z)$/,ISO8601:/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?([+-]\d{2}:\d{2}|Z)$/,["m/Y"]:/^\d{1,2}\/\d{4}$/,["MM/YYYY"]:/^\d{2}\/\d{4}$/,["m-Y"]:/^\d{1,2}-\d{4}$/,["MM-YYYY"]:/^\d{2}-\d{4}$/,["F j, Y"]:/^[A-Za-z]+ \d{1,2}, \d{4}$/,["M j, Y"]:/^[A-Za-z]{3} \d{1,2}, \d{4}$/,["j F Y"]:/^\d{1,2} [A-Za-z]+ \d{4}$/,["j M Y"]:/^\d{1,2} [A-Za-z]{3} \d{4}$/},n=a[i];return n?(n.test(e)?validateDateLogic(e,i):{valid:!1}):(console.warn(`Unsupported date format: ${i}`),{valid:!1})}function validateDateLogic(e,t){try{let i;if(t.includes("c")||t.includes("ISO8601"))i=new Date(e);else if(t.match(/^[HhMmSsAi:\s]+$/)){const t=(new Date).toISOString().split("T")[0],a=e.replace(/AM|PM/i,"").trim();let[n,l,r="00"]=a.split(":");e.match(/PM/i)&&12!==parseInt(n)?n=parseInt(n)+12:e.match(/AM/i)&&12===parseInt(n)&&(n="00"),i=new Date(`${t}T${n.padStart(2,"0")}:${l}:${r}`)}else if(t.includes("/")){const a=e.split("/");t.startsWith("Y")||t.startsWith("YYYY")?i=new Date(a[0],a[1]-1,a[2]):t.startsWith("m")||t.startsWith("MM")?i=new Date(a[2],a[0]-1,a[1]):(t.startsWith("d")||t.startsWith("DD"))&&(i=new Date(a[2],a[1]-1,a[0]))}else if(t.includes("-")){const a=e.split(/[-\s]/);if(t.startsWith("Y")||t.startsWith("YYYY")){const t=a[0]+"-"+a[1]+"-"+a[2];if(a.length>3){const e=a.slice(3).join(":");i=new Date(t+"T"+e)}else i=new Date(t)}else t.startsWith("m")||t.startsWith("MM")?i=new Date(a[2],a[0]-1,a[1]):(t.startsWith("d")||t.startsWith("DD"))&&(i=new Date(a[2],a[1]-1,a[0]))}else t.includes(".")?i=new Date(e.split(".")[2],e.split(".")[1]-1,e.split(".")[0]):t.includes("F")||t.includes("M")?i=new Date(e):i=new Date(e);if(isNaN(i.getTime()))return{valid:!1};if("Y-m-d"===t||"YYYY-MM-DD"===t){const t=i.toISOString().split("T")[0],a=8===e.length?`${e.slice(0,4)}-${e.slice(4,6).padStart(2,"0")}-${e.slice(6,8).padStart(2,"0")}`:e;return{valid:t===a||t===e}}if(t.match(/^m{1,2}[-\/]Y{4}$/)){const t=parseInt(e.split(/[-\/]/)[0]);return{valid:t>=1&&t<=12}}return{valid:!0}}catch(e){return{valid:!1}}}function validateAfter(e,t){if(""===e||null===e||void 0===e)return{valid:!0};const i=new Date(t[0]),a=new Date(e);return isNaN(i.getTime())||isNaN(a.getTime())?{valid:!1}:{valid:a>i}}function validateBefore(e,t){if(""===e||null===e||void 0===e)return{valid:!0};const i=new Date(t[0]),a=new Date(e);return isNaN(i.getTime())||isNaN(a.getTime())?{valid:!1}:{valid:a<i}}function validateAfterOrEqual(e,t,i,a){if(""===e||null===e||void 0===e)return{valid:!0};let n;const l=i.querySelector(`[${a}="${t[0]}"]`);if(l){const e=getFieldValue(l);n=new Date(e)}else n=new Date(t[0]);const r=new Date(e);return isNaN(n.getTime())||isNaN(r.getTime())?{valid:!1}:{valid:r>=n}}function validateBeforeOrEqual(e,t,i,a){if(""===e||null===e||void 0===e)return{valid:!0};let n;const l=i.querySelector(`[${a}="${t[0]}"]`);if(l){const e=getFieldValue(l);n=new Date(e)}else n=new Date(t[0]);const r=new Date(e);return isNaN(n.getTime())||isNaN(r.getTime())?{valid:!1}:{valid:r<=n}}function validateWeekend(e){if(""===e||null===e||void 0===e)return{valid:!0};const t=new Date(e);return isNaN(t.getTime())?{valid:!1}:{valid:0===t.getDay()||6===t.getDay()}}function validateTime(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(e)}}function validateUrl(e){if(""===e||null===e||void 0===e)return{valid:!0};try{return new URL(e),{valid:!0}}catch{return{valid:!1}}}function validateBoolean(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:["true","false","1","0",1,0,!0,!1].includes(e)}}function validateConfirmed(e,t,i,a){const n=t.getAttribute(a)+"_confirmation",l=i.querySelector(`[${a}="${n}"]`);if(!l)return{valid:!1,message:"Confirmation field not found"};return{valid:e===getFieldValue(l)}}function validateAlpha(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:/^[a-zA-Z]+$/.test(e)}}function validateAlphaNum(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:/^[a-zA-Z0-9]+$/.test(e)}}function validateSame(e,t,i,a){const n=i.querySelector(`[${a}="${t[0]}"]`);return n?{valid:e===getFieldValue(n)}:{valid:!1,message:"Comparison field not found"}}function validateDifferent(e,t,i,a){const n=i.querySelector(`[${a}="${t[0]}"]`);return n?{valid:e!==getFieldValue(n)}:{valid:!0}}function validateIn(e,t){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:t.includes(String(e))}}function validateNotIn(e,t){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:!t.includes(String(e))}}function validateRegex(e,t){if(""===e||null===e||void 0===e)return{valid:!0};try{const i=t[0].replace(/^\/|\/$/g,"");return{valid:new RegExp(i).test(e)}}catch(e){return{valid:!1,message:"Invalid regex pattern"}}}function validateJson(e){if(""===e||null===e||void 0===e)return{valid:!0};try{return JSON.parse(e),{valid:!0}}catch{return{valid:!1}}}function validateIp(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:validateIpv4(e).valid||validateIpv6(e).valid}}function validateIpv4(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:/^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(e)}}function validateIpv6(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:/^(([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)|fe80:(:[0-9a-fA-F]{0,4}){0,4}%[0-9a-zA-Z]{1,}|::(ffff(:0{1,4}){0,1}:){0,1}((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])|([0-9a-fA-F]{1,4}:){1,4}:((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9]))$/.test(e)}}function validateUuid(e){if(""===e||null===e||void 0===e)return{valid:!0};return{valid:/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(e)}}function validateDigits(e,t){if(""===e||null===e||void 0===e)return{valid:!0};const i=parseInt(t[0]);return{valid:/^\d+$/.test(e)&&String(e).length===i}}function validateDigitsBetween(e,t){if(""===e||null===e||void 0===e)return{valid:!0};const i=parseInt(t[0]),a=parseInt(t[1]),n=String(e).length;return{valid:/^\d+$/.test(e)&&n>=i&&n<=a}}function validateCurrency(e,t){if(""===e||null===e||void 0===e)return{valid:!0};const i=t[0]?parseInt(t[0]):16,a=String(e);if(a.length>i)return{valid:!1};if(/[eE]/.test(a))return{valid:!1};if(!/^[0-9,\.]+$/.test(a))return{valid:!1};const n=a.split(".");if(n.length>2)return{valid:!1};if(2===n.length&&!/^\d+$/.test(n[1]))return{valid:!1};return!/^[0-9,]*$/.test(n[0])?{valid:!1}:{valid:!0}}function validateMinLength(e,t){if(""===e||null===e||void 0===e)return{valid:!0};try{return{valid:String(e).length>=parseInt(t[0])}}catch(e){return console.error("Error in min_length validation:",e),{valid:!1}}}function validateMaxLength(e,t){if(""===e||null===e||void 0===e)return{valid:!0};try{return{valid:String(e).length<=parseInt(t[0])}}catch(e){return console.error("Error in max_length validation:",e),{valid:!1}}}function validateAlphaDash(e){if(""===e||null===e||void 0===e)return{valid:!0};try{return{valid:/^[a-zA-Z0-9_-]+$/.test(e)}}catch(e){return console.error("Error in alpha_dash validation:",e),{valid:!1}}}function validateLowercase(e){if(""===e||null===e||void 0===e)return{valid:!0};try{return{valid:String(e).toLowerCase()===String(e)}}catch(e){return console.error("Error in lowercase validation:",e),{valid:!1}}}function validateUppercase(e){if(""===e||null===e||void 0===e)return{valid:!0};try{return{valid:String(e).toUpperCase()===String(e)}}catch(e){return console.error("Error in uppercase validation:",e),{valid:!1}}}function validateDecimal(e,t){if(""===e||null===e||void 0===e)return{valid:!0};try{let i=1,a=null;if(t&&t.length>0&&(1===t.length?(i=parseInt(t[0]),a=i):t.length>=2&&(i=parseInt(t[0]),a=parseInt(t[1]))),!/^[+-]?\d*\.?\d+$/.test(String(e)))return{valid:!1};const n=String(e).split(".");if(1===n.length)return{valid:0===i};const l=n[1].length;return null!==a?{valid:l>=i&&l<=a}:{valid:l>=i}}catch(e){return console.error("Error in decimal validation:",e),{valid:!1}}}function validateGreaterThan(e,t,i,a){if(""===e||null===e||void 0===e)return{valid:!0};try{if(0===t.length)return{valid:!1};let n;const l=i.querySelector(`[${a}="${t[0]}"]`);return n=l?getFieldValue(l):t[0],isNumericValue(e)&&isNumericValue(n)?{valid:parseFloat(e)>parseFloat(n)}:{valid:String(e).length>String(n).length}}catch(e){return console.error("Error in gt validation:",e),{valid:!1}}}function validateLessThan(e,t,i,a){if(""===e||null===e||void 0===e)return{valid:!0};try{if(0===t.length)return{valid:!1};let n;const l=i.querySelector(`[${a}="${t[0]}"]`);return n=l?getFieldValue(l):t[0],isNumericValue(e)&&isNumericValue(n)?{valid:parseFloat(e)<parseFloat(n)}:{valid:String(e).length<String(n).length}}catch(e){return console.error("Error in lt validation:",e),{valid:!1}}}function validateLessThanOrEqual(e,t,i,a){if(""===e||null===e||void 0===e)return{valid:!0};try{if(0===t.length)return{valid:!1};let n;const l=i.querySelector(`[${a}="${t[0]}"]`);return n=l?getFieldValue(l):t[0],isNumericValue(e)&&isNumericValue(n)?{valid:parseFloat(e)<=parseFloat(n)}:{valid:String(e).length<=String(n).length}}catch(e){return console.error("Error in lte validation:",e),{valid:!1}}}function validateDimensions(e,t){if(""===e||null===e||void 0===e||!e||!e.length)return{valid:!0};try{if(!(e instanceof FileList)||0===e.length)return{valid:!1};const i={};for(const e of t){const t=e.split("=");t[0]&&t[1]&&(i[t[0].trim()]=parseInt(t[1].trim()))}const a=e[0];return["image/jpeg","image/png","image/gif","image/webp","image/bmp"].includes(a.type)?new Promise((e=>{const t=new Image,n=URL.createObjectURL(a);t.onload=function(){URL.revokeObjectURL(n);const a=t.width,l=t.height;let r=!0;i.min_width&&a<i.min_width&&(r=!1),i.max_width&&a>i.max_width&&(r=!1),i.min_height&&l<i.min_height&&(r=!1),i.max_height&&l>i.max_height&&(r=!1),i.width&&a!==i.width&&(r=!1),i.height&&l!==i.height&&(r=!1),e({valid:r})},t.onerror=function(){URL.revokeObjectURL(n),e({valid:!1})},t.src=n})):{valid:!0}}catch(e){return console.error("Error in dimensions validation:",e),{valid:!1}}}function validateNullable(){return{valid:!0}}function validateRequiredWith(e,t,i,a){try{let n=!1;for(const e of t){const t=i.querySelector(`[${a}="${e}"]`);if(!t)continue;const l=getFieldValue(t);if(null!==l&&void 0!==l&&""!==String(l).trim()){n=!0;break}}return n?validateRequired(e):{valid:!0}}catch(e){return console.error("Error in required_with validation:",e),{valid:!1}}}function validateRequiredUnless(e,t,i,a){try{if(t.length<2)return{valid:!0};const n=t[0],l=i.querySelector(`[${a}="${n}"]`);if(!l)return validateRequired(e);const r=getFieldValue(l),s=t.slice(1);return s.includes(String(r))?{valid:!0}:validateRequired(e)}catch(e){return console.error("Error in required_unless validation:",e),{valid:!1}}}function validateContains(e,t){if(""===e||null===e||void 0===e)return{valid:!0};try{const i=String(e);for(const e of t)if(!i.includes(e))return{valid:!1};return{valid:!0}}catch(e){return console.error("Error in contains validation:",e),{valid:!1}}}function validateDoesntContain(e,t){if(""===e||null===e||void 0===e)return{valid:!0};try{const i=String(e);for(const e of t)if(i.includes(e))return{valid:!1};return{valid:!0}}catch(e){return console.error("Error in doesnt_contain validation:",e),{valid:!1}}}function validateAccepted(e){try{return{valid:[!0,"true",1,"1","yes","on"].includes(e)}}catch(e){return console.error("Error in accepted validation:",e),{valid:!1}}}function validateImage(e){if(""===e||null===e||void 0===e||!e)return{valid:!0};try{if(!(e instanceof FileList))return{valid:!1};if(0===e.length)return{valid:!0};return{valid:["image/jpeg","image/png","image/gif","image/webp","image/svg+xml","image/bmp","image/tiff"].includes(e[0].type)}}catch(e){return console.error("Error in image validation:",e),{valid:!1}}}function getErrorMessage(e,t,i,a,n){const{name:l,parameters:r}=t,s=e=>{let t=e.replace(/:label/g,a).replace(/:attribute/g,a).replace(/:field/g,e).replace(/:value/g,"the input");return r&&r.length>0&&(r.forEach(((e,i)=>{t=t.replace(new RegExp(`:param\\[${i}\\]`,"g"),e)})),t=t.replace(/:min/g,r[0]).replace(/:max/g,r.length>1?r[1]:r[0]),"between"===l?t=t.replace(/:min_value/g,r[0]).replace(/:max_value/g,r[1]):["mimes","in","not_in"].includes(l)?t=t.replace(/:values/g,r.join(", ")):"dimensions"===l&&r.forEach((e=>{const[i,a]=e.split("=");i&&a&&(t=t.replace(new RegExp(`:${i.trim()}`,"g"),a.trim()))}))),t};if(i[l])return s(i[l]);if(n)return s(n);const o={required:`The ${a} field is required.`,required_if:`The ${a} field is required when specified conditions are met.`,string:`The ${a} field must be a string.`,numeric:`The ${a} field must be a number.`,integer:`The ${a} field must be an integer.`,email:`The ${a} field must be a valid email address.`,array:`The ${a} field must be an array.`,file:`The ${a} field must be a file.`,size:`The ${a} file size must not exceed ${r[0]||8}MB.`,mimes:`The ${a} file must be a file of type: ${r.join(", ")}.`,min:`The ${a} field must be at least ${r[0]}.`,max:`The ${a} field must not be greater than ${r[0]}.`,between:`The ${a} field must be between ${r[0]} and ${r[1]}.`,date:`The ${a} field must be a valid date.`,date_format:`The ${a} field must match the format ${r[0]}.`,after:`The ${a} field must be a date after ${r[0]}.`,before:`The ${a} field must be a date before ${r[0]}.`,after_or_equal:`The ${a} field must be a date after or equal to ${r[0]}.`,before_or_equal:`The ${a} field must be a date before or equal to ${r[0]}.`,weekend:`The ${a} field must be a weekend date.`,time:`The ${a} field must be a valid time.`,url:`The ${a} field must be a valid URL.`,boolean:`The ${a} field must be true or false.`,confirmed:`The ${a} confirmation does not match.`,alpha:`The ${a} field must contain only letters.`,alpha_num:`The ${a} field must contain only letters and numbers.`,same:`The ${a} field must match ${r[0]}.`,different:`The ${a} field must be different from ${r[0]}.`,in:`The selected ${a} is invalid.`,not_in:`The selected ${a} is invalid.`,regex:`The ${a} field format is invalid.`,json:`The ${a} field must be a valid JSON string.`,ip:`The ${a} field must be a valid IP address.`,ipv4:`The ${a} field must be a valid IPv4 address.`,ipv6:`The ${a} field must be a valid IPv6 address.`,uuid:`The ${a} field must be a valid UUID.`,digits:`The ${a} field must be ${r[0]} digits.`,digits_between:`The ${a} field must be between ${r[0]} and ${r[1]} digits.`,min_length:`The ${a} must be at least ${r[0]} characters.`,max_length:`The ${a} may not be greater than ${r[0]} characters.`,alpha_dash:`The ${a} may only contain letters, numbers, dashes and underscores.`,lowercase:`The ${a} must be lowercase.`,uppercase:`The ${a} must be uppercase.`,decimal:`The ${a} must have ${r.length>1?`${r[0]} to ${r[1]}`:r[0]} decimal places.`,gt:`The ${a} must be greater than ${r[0]}.`,lt:`The ${a} must be less than ${r[0]}.`,lte:`The ${a} must be less than or equal to ${r[0]}.`,dimensions:`The ${a} has invalid image dimensions.`,required_with:`The ${a} field is required when ${r.join(", ")} is present.`,required_unless:`The ${a} field is required unless ${r[0]} is in ${r.slice(1).join(", ")}.`,contains:`The ${a} field must contain: ${r.join(", ")}.`,doesnt_contain:`The ${a} field must not contain: ${r.join(", ")}.`,accepted:`The ${a} must be accepted.`,image:`The ${a} must be an image.`};return s(o[l]||`The ${a} field is invalid.`)}function showToastrErrors(e,t="single"){if("undefined"!=typeof toastr){let i={enableHtml:!0,closeButton:!0,debug:!1,newestOnTop:!0,progressBar:!0,positionClass:"toast-top-right",preventDuplicates:!0,showDuration:"850",hideDuration:"1000",timeOut:"5000",extendedTimeOut:"1000",showEasing:"swing",hideEasing:"linear",showMethod:"fadeIn",hideMethod:"fadeOut"};if("single"===t){const t=Object.values(e);if(t.length>0){const a=`<ul style="margin: 0; padding-left: 20px; line-height: 1.5;">${t.map((e=>`<li style="margin-bottom: 5px;">${e}</li>`)).join("")}</ul>`;toastr.error(a,"Validation Errors",i)}}else Object.values(e).forEach((e=>{toastr.error(e,"Error",i)}))}else{const i=document.getElementById("validation_messages");if(!i)return void console.warn("Neither toastr nor #validation_messages element found for displaying errors");if(i.innerHTML="","single"===t){const t=Object.values(e);if(t.length>0){const e=document.createElement("div");e.className="error-list",e.innerHTML=`\n                    <strong>Validation Errors:</strong>\n                    <ul>\n                        ${t.map((e=>`<li>${e}</li>`)).join("")}\n                    </ul>\n                `,i.appendChild(e)}}else Object.values(e).forEach((e=>{const t=document.createElement("div");t.className="error-list",t.innerHTML=`<strong>Error:</strong> ${e}`,i.appendChild(t)}))}}
+!function(e,t){if("function"==typeof define&&define.amd)define([],t);else if("object"==typeof module&&module.exports)module.exports=t();else{const r=t(),n=["validationJs","validationJsAsync","validationJsData","validationJsDataAsync","validationJsAttach","validationJsError","validationJsDebug","validationJsExtend","validationJsRemote","validationJsLocale","validationJsHolidays","Validator"];e.ValidationJS=r,n.forEach(t=>{e[t]=r[t]})}}("undefined"!=typeof self?self:this,function(){"use strict";let e=!1;const t=new WeakMap;let r=null;const n={},i={method:"GET",headers:{},credentials:"same-origin",debounce:300,fetch:null},a=new WeakMap,s={required:"The :attribute field is required.",required_if:"The :attribute field is required when :other meets the specified conditions.",string:"The :attribute field must be a string.",numeric:"The :attribute field must be a number.",integer:"The :attribute field must be an integer.",email:"The :attribute field must be a valid email address.",array:"The :attribute field must be an array.",file:"The :attribute field must be a file.",size:"The :attribute file :file must not exceed :size.",min_size:"The :attribute file :file must be at least :size.",total_size:"The :attribute files must not exceed :size in total.",min_files:"The :attribute field must have at least :min files.",max_files:"The :attribute field must not have more than :max files.",mimes:"The :attribute file :file must be a file of type: :values.",mimetypes:"The :attribute file :file must be a file of type: :values.",mimes_mismatch:"The content of the :attribute file :file does not match its extension.",mimetypes_mismatch:"The content of the :attribute file :file does not match its extension.",min:"The :attribute field must be at least :min.",max:"The :attribute field must not be greater than :max.",between:"The :attribute field must be between :min and :max.",date:"The :attribute field must be a valid date.",date_format:"The :attribute field must match the format :format.",date_format_skipped:"The :attribute field is a time skipped by a daylight saving change.",date_timezone:"The timezone of the :attribute field is not known.",after:"The :attribute field must be a date after :date.",before:"The :attribute field must be a date before :date.",after_or_equal:"The :attribute field must be a date after or equal to :date.",before_or_equal:"The :attribute field must be a date before or equal to :date.",weekend:"The :attribute field must be a weekend date.",weekday:"The :attribute field must be a weekday.",day_in:"The :attribute field must fall on one of the following days: :values.",business_day:"The :attribute field must be a business day.",not_holiday:"The :attribute field must not be a holiday.",min_lead_days:"The :attribute field must be at least :days days from today.",max_lead_days:"The :attribute field must not be more than :days days from today.",time:"The :attribute field must be a valid time.",url:"The :attribute field must be a valid URL.",boolean:"The :attribute field must be true or false.",confirmed:"The :attribute confirmation does not match.",confirmed_missing:"The confirmation field of :attribute was not found.",alpha:"The :attribute field must contain only letters.",alpha_num:"The :attribute field must contain only letters and numbers.",same:"The :attribute field must match :other.",same_missing:"The field compared with :attribute was not found.",different:"The :attribute field must be different from :other.",in:"The selected :attribute is invalid.",not_in:"The selected :attribute is invalid.",regex:"The :attribute field format is invalid.",json:"The :attribute field must be a valid JSON string.",ip:"The :attribute field must be a valid IP address.",ipv4:"The :attribute field must be a valid IPv4 address.",ipv6:"The :attribute field must be a valid IPv6 address.",uuid:"The :attribute field must be a valid UUID.",digits:"The :attribute field must be :digits digits.",digits_between:"The :attribute field must be between :min and :max digits.",min_length:"The :attribute must be at least :min characters.",max_length:"The :attribute may not be greater than :max characters.",alpha_dash:"The :attribute may only contain letters, numbers, dashes and underscores.",lowercase:"The :attribute must be lowercase.",uppercase:"The :attribute must be uppercase.",decimal:"The :attribute must have :places decimal places.",gt:"The :attribute must be greater than :value.",lt:"The :attribute must be less than :value.",lte:"The :attribute must be less than or equal to :value.",gte:"The :attribute must be greater than or equal to :value.",dimensions:"The :attribute file :file has invalid image dimensions.",dimensions_width:"The :attribute image :file must be :width pixels wide.",dimensions_height:"The :attribute image :file must be :height pixels high.",dimensions_min_width:"The :attribute image :file must be at least :min_width pixels wide.",dimensions_max_width:"The :attribute image :file must not be wider than :max_width pixels.",dimensions_min_height:"The :attribute image :file must be at least :min_height pixels high.",dimensions_max_height:"The :attribute image :file must not be higher than :max_height pixels.",dimensions_ratio:"The :attribute image :file must have an aspect ratio of :ratio.",dimensions_min_megapixels:"The :attribute image :file must have at least :min_megapixels megapixels.",dimensions_max_megapixels:"The :attribute image :file must not have more than :max_megapixels megapixels.",dimensions_orientation:"The :attribute image :file must be :orientation.",duration_min:"The :attribute file :file must be at least :min seconds long.",duration_max:"The :attribute file :file must not be longer than :max seconds.",video_dimensions:"The :attribute video :file has invalid dimensions.",audio_channels:"The :attribute file :file must have :values audio channels.",required_with:"The :attribute field is required when :values is present.",required_unless:"The :attribute field is required unless :other is in :values.",contains:"The :attribute field must contain: :values.",doesnt_contain:"The :attribute field must not contain: :values.",accepted:"The :attribute must be accepted.",min_items:"The :attribute field must have at least :min items.",max_items:"The :attribute field must not have more than :max items.",distinct:"The :attribute field has a duplicate value.",required_one_of:"At least one :attribute is required.",image:"The :attribute file :file must be an image.",remote:"The :attribute field is invalid.",remote_failed:"The :attribute could not be verified.",remote_url:"The :attribute field has no remote validation URL.",pending:"The :attribute field has not been verified yet.",error:"The :attribute could not be validated.",default:"The :attribute field is invalid."},l={};let o="en";const u={},d=["min_items","max_items","distinct","required_one_of"],c=26214400,f=["date","date_format","date_timezone","after","before","after_or_equal","before_or_equal","weekend","weekday","day_in","business_day","not_holiday","min_lead_days","max_lead_days"],m=["mimetypes","dimensions","duration_min","duration_max","video_dimensions","audio_channels"],h={"YYYY-MM-DD":"Y-m-d","YYYY/MM/DD":"Y/m/d","MM/DD/YYYY":"m/d/Y","MM-DD-YYYY":"m-d-Y","DD/MM/YYYY":"d/m/Y","DD-MM-YYYY":"d-m-Y","DD.MM.YYYY":"d.m.Y","YYYY-MM-DD HH:mm":"Y-m-d H:i","YYYY-MM-DD HH:mm:ss":"Y-m-d H:i:s","HH:mm":"H:i","HH:mm:ss":"H:i:s","hh:mm A":"h:i A","MM/YYYY":"m/Y","MM-YYYY":"m-Y",ISO8601:["Y-m-d\\TH:i:sP","Y-m-d\\TH:i:s.vP"]},p=["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],g=["January","February","March","April","May","June","July","August","September","October","November","December"],v=[{type:"image/png",extensions:["png"],signatures:["89 50 4E 47 0D 0A 1A 0A"]},{type:"image/jpeg",extensions:["jpg","jpeg","jpe","jfif"],signatures:["FF D8 FF"]},{type:"image/gif",extensions:["gif"],signatures:["47 49 46 38 37 61","47 49 46 38 39 61"]},{type:"image/webp",extensions:["webp"],signatures:["52 49 46 46 ?? ?? ?? ?? 57 45 42 50"]},{type:"image/bmp",extensions:["bmp"],signatures:["42 4D ?? ?? ?? ?? 00 00 00 00"]},{type:"image/tiff",extensions:["tif","tiff"],signatures:["49 49 2A 00","4D 4D 00 2A"]},{type:"image/avif",extensions:["avif"],signatures:["?? ?? ?? ?? 66 74 79 70 61 76 69 66"]},{type:"image/heic",extensions:["heic","heif"],signatures:["?? ?? ?? ?? 66 74 79 70 68 65 69 63","?? ?? ?? ?? 66 74 79 70 6D 69 66 31"]},{type:"application/pdf",extensions:["pdf"],signatures:["25 50 44 46 2D"]},{type:"application/zip",extensions:["zip"],signatures:["50 4B 03 04","50 4B 05 06","50 4B 07 08"]},{type:"application/vnd.openxmlformats-officedocument.wordprocessingml.document",extensions:["docx"],container:"application/zip"},{type:"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",extensions:["xlsx"],container:"application/zip"},{type:"application/vnd.openxmlformats-officedocument.presentationml.presentation",extensions:["pptx"],container:"application/zip"},{type:"application/vnd.oasis.opendocument.text",extensions:["odt"],container:"application/zip"},{type:"application/x-ole-storage",extensions:["msi"],signatures:["D0 CF 11 E0 A1 B1 1A E1"]},{type:"application/msword",extensions:["doc"],container:"application/x-ole-storage"},{type:"application/vnd.ms-excel",extensions:["xls"],container:"application/x-ole-storage"},{type:"application/vnd.ms-powerpoint",extensions:["ppt"],container:"application/x-ole-storage"},{type:"video/quicktime",extensions:["mov"],signatures:["?? ?? ?? ?? 66 74 79 70 71 74 20 20"]},{type:"audio/mp4",extensions:["m4a"],signatures:["?? ?? ?? ?? 66 74 79 70 4D 34 41 20"]},{type:"video/mp4",extensions:["mp4","m4v"],signatures:["?? ?? ?? ?? 66 74 79 70"]},{type:"video/webm",extensions:["webm","mkv"],signatures:["1A 45 DF A3"]},{type:"audio/mpeg",extensions:["mp3"],signatures:["49 44 33","FF FB","FF F3","FF F2"]},{type:"audio/wav",extensions:["wav"],signatures:["52 49 46 46 ?? ?? ?? ?? 57 41 56 45"]},{type:"audio/ogg",extensions:["ogg","oga"],signatures:["4F 67 67 53"]},{type:"application/gzip",extensions:["gz","tgz"],signatures:["1F 8B"]},{type:"application/vnd.rar",extensions:["rar"],signatures:["52 61 72 21 1A 07"]},{type:"application/x-7z-compressed",extensions:["7z"],signatures:["37 7A BC AF 27 1C"]},{type:"application/x-msdownload",extensions:["exe","dll"],signatures:["4D 5A"]}];class y{constructor(t,r={},n={},i={}){this.formElement=t,this.rules=r,this.messages=n,this.options={attributeType:"name",debug:e,successClass:"is-valid",errorClass:"is-invalid",displayMode:"single",stopOnFirstFailure:!0,inline:{},toastr:{},...i},this.errors={},this.errorElements={},this.errorDetails={},this.groupErrors={},this.inlineErrors=new Map,this.live=null}validate(){return this.resetErrors(),this.runValidation(M)}async validateAsync(){if(this.resetErrors(),this.live){for(let e in this.live.runs)this.live.runs[e]+=1;for(let e in this.rules)this.live.touchedFields.add(e)}return this.runValidation(U)}runValidation(e){const t=e=>(console.error("Validation error:",e),this.errors._global=["Validation system error: "+e.message],!1);try{const r=x(this.formElement);this.options.debug&&(console.log("Validation started for form:",r),console.log("Rules:",this.rules),console.log("Messages:",this.messages));const n=this.getFormRuns(r),i=_(n,t=>e(t.value,t.ruleArray,t.target,r,this.options.attributeType,{messages:this.messages},this.options.stopOnFirstFailure)),a=e=>{n.forEach((t,r)=>{t.isGroup?this.applyGroupResult(t.target,e[r]):this.applyFieldResult(t.target,e[r])});const t=e.every(e=>0===e.length);return this.options.debug&&(console.log("Validation completed. Is valid:",t),console.log("Errors:",this.errors)),t};return H(i)?i.then(a,t):a(i)}catch(e){return t(e)}}getFormRuns(e){const t=[];for(let r in this.rules){const{itemRules:n,groupRules:i}=$(r,ee(this.rules[r])),a=this.getFieldTargets(e,r),s=a.map(e=>this.readFieldValue(e));if(a.forEach((e,r)=>t.push({target:e,value:s[r],ruleArray:n,isGroup:!1})),i.length>0){const e=S(r,a,this.messages[r]||{});t.push({target:e,value:s,ruleArray:i,isGroup:!0})}}return t}validateField(e,t={}){const r=this.getRuleKey(e);if(!r)return Promise.resolve(!0);const n=r===e?null:N(e).join(".");null!==n&&(e=n);const i=this.live||{runs:{},latest:{},touchedFields:new Set},a=(i.runs[e]||0)+1;i.runs[e]=a;const s=(async()=>{const l=x(this.formElement),{itemRules:o,groupRules:u}=$(r,ee(this.rules[r])),d=this.getFieldTargets(l,r),c=d.filter(e=>null===n||e.errorKey===n),f={messages:this.messages,...t},m=[];for(let e of c)m.push(await U(this.readFieldValue(e),o,e,l,this.options.attributeType,f,this.options.stopOnFirstFailure));let h=null,p=[];if(u.length>0){const e=d.map(e=>G(e.element));h=S(r,d,this.messages[r]||{}),p=await U(e,u,h,l,this.options.attributeType,f,this.options.stopOnFirstFailure)}const g=0===p.length&&m.every(e=>0===e.length);return i.runs[e]!==a?i.latest[e]!==s?i.latest[e]:g:(null===n&&this.clearFieldErrors(e),c.forEach((e,t)=>this.applyFieldResult(e,m[t])),h&&this.applyGroupResult(h,p),i.touchedFields.add(e),this.options.debug&&console.log(`Validation of ${e} completed. Is valid:`,g),g)})();return i.latest[e]=s,s}attach(e={}){this.detach();const t=x(this.formElement),{events:r=["input","change","blur"],inlineErrors:n=!1,onValidate:i=null}=e,{attributeType:a}=this.options;"object"==typeof n&&null!==n&&(this.options.inline=n);const s={};for(let e in this.rules)s[e]=ee(this.rules[e]);const l=function(e,t,r){const n={},i=new Set(Array.from(e.elements||e.querySelectorAll(`[${r}]`)).map(e=>e.getAttribute(r)).filter(Boolean)),a=(e,t)=>{n[e]||(n[e]=[]),n[e].includes(t)||n[e].push(t)};for(let e in t)for(let r of t[e]){"confirmed"===r.name&&a(`${e}_confirmation`,e);for(let n of r.parameters){(t[n]||i.has(n)||A(n)&&Array.from(i).some(e=>C(n,e)))&&a(n,e)}}return n}(t,s,a),o={form:t,events:r,inlineErrors:n,runs:{},latest:{},touchedFields:new Set,handleEvent:null},u=e=>{const t=this.validateField(e,{live:!0});t.then(r=>{this.live===o&&o.latest[e]===t&&(n&&this.showInlineErrors(this.getErrorMessages()),"function"==typeof i&&i(e,r))}).catch(t=>{console.error(`Error in live validation of ${e}:`,t)})};return o.handleEvent=e=>{const t=e.target,r=t&&t.getAttribute?t.getAttribute(a):null;if(!r)return;const n=[],i=e=>{n.includes(e)||n.push(e)};s[r]&&i(r);for(let e in s){if(e===r||!A(e))continue;const t=C(e,r);t&&i(t.includes("")?e:N(r).join("."))}for(let e in l){const t=e===r?[]:A(e)?C(e,r):null;if(t)for(let n of l[e]){const e=t.length>0&&!t.includes("")?D(n,t):n;e!==r&&(o.touchedFields.has(e)||o.touchedFields.has(n))&&i(e)}}n.forEach(u)},r.forEach(e=>t.addEventListener(e,o.handleEvent,!0)),this.live=o,this.options.debug&&(console.log("Live validation attached to form:",t),console.log("Field dependents:",l)),this}detach(){const e=this.live;if(!e)return this;this.live=null,e.events.forEach(t=>e.form.removeEventListener(t,e.handleEvent,!0));for(let t of e.touchedFields)this.clearFieldErrors(t),this.getFieldTargets(e.form,t).forEach(e=>{X(e.element).forEach(e=>{e.classList.remove(this.options.errorClass,this.options.successClass),0===e.classList.length&&e.removeAttribute("class")})});return e.inlineErrors&&this.showInlineErrors(this.getErrorMessages()),this}getErrors(e="raw",t=this.options.displayMode){if("raw"===e&&"all"===t)return this.getAllErrorMessages();if("detailed"===e)return this.getErrorDetails();const r=this.getErrorMessages();if("raw"===e)return r;if("toastr"!==e){if("inline"!==e)return r;this.showInlineErrors(r,"object"==typeof t&&null!==t?t:this.options.inline)}else!function(e,t="single",r={}){if("undefined"!=typeof toastr){let n={enableHtml:!0,closeButton:!0,debug:!1,newestOnTop:!0,progressBar:!0,positionClass:"toast-top-right",preventDuplicates:!0,showDuration:"850",hideDuration:"1000",timeOut:"5000",extendedTimeOut:"1000",showEasing:"swing",hideEasing:"linear",showMethod:"fadeIn",hideMethod:"fadeOut",...r};if("single"===t){const t=Object.values(e);if(t.length>0){const e=`<ul style="margin: 0; padding-left: 20px; line-height: 1.5;">${t.map(e=>`<li style="margin-bottom: 5px;">${nr(e)}</li>`).join("")}</ul>`;toastr.error(e,"Validation Errors",n)}}else Object.values(e).forEach(e=>{toastr.error(nr(e),"Error",n)})}else{const r=document.getElementById("validation_messages");if(!r)return void console.warn("Neither toastr nor #validation_messages element found for displaying errors");if(r.innerHTML="","single"===t){const t=Object.values(e);if(t.length>0){const e=document.createElement("div");e.className="error-list",e.innerHTML=`\n                    <strong>Validation Errors:</strong>\n                    <ul>\n                        ${t.map(e=>`<li>${nr(e)}</li>`).join("")}\n                    </ul>\n                `,r.appendChild(e)}}else Object.values(e).forEach(e=>{const t=document.createElement("div");t.className="error-list",t.innerHTML=`<strong>Error:</strong> ${nr(e)}`,r.appendChild(t)})}}(r,t,this.options.toastr)}getErrorMessages(){const e={};for(let t in this.errors)this.errors[t].length>0&&(e[t]=this.errors[t][0]);return e}getAllErrorMessages(){const e={};for(let t in this.errors)this.errors[t].length>0&&(e[t]=[...this.errors[t]]);return e}getErrorDetails(){const e=[];for(let t in this.errors)this.errorDetails[t]?e.push(...this.errorDetails[t].map(e=>({...e,parameters:[...e.parameters]}))):this.errors[t].forEach(r=>e.push({field:t,index:null,errorKey:t,rule:null,parameters:[],label:null,message:r,element:null}));return e}setDebug(e=!0){return this.options.debug=e,this}resetErrors(){Object.keys(this.errors).forEach(e=>delete this.errors[e]),this.errorElements={},this.errorDetails={},this.groupErrors={}}getRuleKey(e){if(this.rules[e])return e;for(let t in this.rules)if(A(t)&&C(t,e))return t;return null}getFieldTargets(e,t){const{attributeType:r}=this.options,n=this.messages[t]||{};if(A(t)&&!t.endsWith("[]")){const i=function(e,t,r,n){const i=F(t,n),a={},s=new Set,l=[];return e.querySelectorAll(`[${r}]`).forEach(e=>{const o=e.getAttribute(r);let u=N(o);if(u.includes("")){const e=a[o]||0;a[o]=e+1,u=u.map(t=>""===t?String(e):t)}const d=C(t,u),c=u.join(".");d&&!s.has(c)&&(s.add(c),l.push({element:e,fieldName:c,errorKey:c,...k(i,d),messages:n,isArray:d.length>0,wildcards:d}))}),l}(e,t,r,n);return 0===i.length&&this.options.debug&&console.warn(`Field elements not found: ${t}`),i}if(t.endsWith("[]")){const i=t.slice(0,-2),a=e.querySelectorAll(`[${r}="${t}"]`);if(0===a.length)return this.options.debug&&console.warn(`Array field elements not found: ${t}`),[];const s=F(t,n);return Array.from(a).map((e,t)=>({element:e,fieldName:i,errorKey:`${i}_${t}`,index:t,label:`${s} #${t+1}`,messages:n,isArray:!0}))}const i=e.querySelector(`[${r}="${t}"]`);return i?[{element:i,fieldName:t,errorKey:t,index:null,label:F(t,n),messages:n,isArray:!1}]:(this.options.debug&&console.warn(`Field element not found: ${t}`),[])}readFieldValue(e){const t=G(e.element);return this.options.debug&&console.log(`Validating ${e.isArray?"array field":"field"}: ${e.errorKey}, value:`,t),t}applyFieldResult(e,t){const{element:r}=e,n=X(r);if(n.forEach(e=>e.classList.remove(this.options.errorClass,this.options.successClass)),delete this.errors[e.errorKey],delete this.errorElements[e.errorKey],delete this.errorDetails[e.errorKey],t.length>0){const i=Y(e,t),a=I(i);this.errors[e.errorKey]=a,this.errorElements[e.errorKey]=r,this.errorDetails[e.errorKey]=i,n.forEach(e=>e.classList.add(this.options.errorClass)),this.options.debug&&console.log(`Validation failed for ${e.errorKey}:`,a)}else n.forEach(e=>e.classList.add(this.options.successClass))}applyGroupResult(e,t){if(this.removeGroupErrors(e.ruleKey),0===t.length)return;const r=L(e,t),n=r.errorKey,i=Y(r,t),a=I(i);this.errorDetails[n]=[...this.errorDetails[n]||[],...i],this.errors[n]=I(this.errorDetails[n]),this.groupErrors[e.ruleKey]={errorKey:n,errorDetails:i,isRow:r!==e},r.element&&(this.errorElements[n]=r.element,r.element.classList.remove(this.options.successClass),r.element.classList.add(this.options.errorClass)),this.options.debug&&console.log(`Validation failed for ${n}:`,a)}removeGroupErrors(e){const t=this.groupErrors[e];if(delete this.groupErrors[e],!t||!this.errorDetails[t.errorKey])return;const{errorKey:r,errorDetails:n,isRow:i}=t,a=this.errorDetails[r].filter(e=>!n.includes(e));if(a.length>0)return this.errorDetails[r]=a,void(this.errors[r]=I(a));const s=this.errorElements[r];delete this.errors[r],delete this.errorElements[r],delete this.errorDetails[r],s&&i&&(s.classList.remove(this.options.errorClass),s.classList.add(this.options.successClass))}clearFieldErrors(e){const t=e.endsWith("[]")?e.slice(0,-2):null;for(let r in this.errors){const n=null!==t&&r.startsWith(`${t}_`)&&/^\d+$/.test(r.slice(t.length+1)),i=e.includes("*")&&null!==C(e,r);(r===e||n||i)&&(delete this.errors[r],delete this.errorElements[r],delete this.errorDetails[r])}this.removeGroupErrors(e)}showInlineErrors(e,t=this.options.inline){const{template:r='<div class="invalid-feedback">:message</div>',container:n=null}=t;this.inlineErrors.forEach((t,r)=>{e[r]&&this.errorElements[r]===t.element||this.removeInlineError(r)});for(let t in e){const i=this.errorElements[t];if(!i)continue;const a=document.createElement("div");a.innerHTML=r.replace(/:message/g,()=>nr(e[t])).trim();const s=a.firstElementChild;if(!s)continue;const l=`${(i.id||t).replace(/[^\w-]/g,"_")}-error`;s.id=l,s.setAttribute("data-validation-for",t);const o=this.inlineErrors.get(t);if(o)o.feedback.replaceWith(s),o.feedback.style.display&&(s.style.display=o.feedback.style.display);else{let e=null;if("function"==typeof n?e=n(i,t):"string"==typeof n&&(e=document.querySelector(n.replace(/:field/g,rr(t)))),e)e.appendChild(s),s.style.display="block";else{const e=X(i),t=e[e.length-1],r=t.closest(".input-group, .form-check")||t;r.insertAdjacentElement("afterend",s),r!==i&&(s.style.display="block")}const r=(i.getAttribute("aria-describedby")||"").split(/\s+/).filter(Boolean);r.includes(l)||r.push(l),i.setAttribute("aria-describedby",r.join(" ")),i.setAttribute("aria-invalid","true")}this.inlineErrors.set(t,{element:i,feedback:s})}}removeInlineError(e){const t=this.inlineErrors.get(e);if(!t)return;const{element:r,feedback:n}=t,i=(r.getAttribute("aria-describedby")||"").split(/\s+/).filter(e=>e&&e!==n.id);i.length>0?r.setAttribute("aria-describedby",i.join(" ")):r.removeAttribute("aria-describedby"),r.removeAttribute("aria-invalid"),n.remove(),this.inlineErrors.delete(e)}}function b(t,r,n,i,a){const{stopOnFirstFailure:s=!0}=i,l=e=>{console.error("Validation error:",e);const t="Validation system error: "+e.message;return{isValid:!1,errors:{_global:[t]},details:[{field:"_global",index:null,errorKey:"_global",rule:null,parameters:[],label:null,message:t,element:null}]}};try{if(null===t||"object"!=typeof t)throw new Error("Data must be an object");e&&(console.log("Data validation started for:",t),console.log("Rules:",r));const i=function(e,t,r){const n=[];for(let i in t){const{itemRules:a,groupRules:s}=$(i,ee(t[i])),l=E(e,i,r);if(l.forEach(e=>n.push({target:e,value:e.value,ruleArray:a,isGroup:!1})),s.length>0){const e=S(i,l,r[i]||{});n.push({target:e,value:l.map(e=>e.value),ruleArray:s,isGroup:!0})}}return n}(t,r,n),o=_(i,r=>(e&&console.log(`Validating data field: ${r.target.errorKey}, value:`,r.value),a(r.value,r.ruleArray,r.target,t,"data",{messages:n},s)));return H(o)?o.then(e=>w(i,e),l):w(i,o)}catch(e){return l(e)}}function w(t,r){const n={},i=[];t.forEach((e,t)=>{if(0===r[t].length)return;const a=e.isGroup?L(e.target,r[t]):e.target,s=Y(a,r[t]);n[a.errorKey]=[...new Set([...n[a.errorKey]||[],...I(s)])],i.push(...s)});const a=0===i.length;return e&&(console.log("Data validation completed. Is valid:",a),console.log("Errors:",n)),{isValid:a,errors:n,details:i}}function _(e,t){const r=[],n=i=>{for(let a=i;a<e.length;a++){const i=t(e[a]);if(H(i))return i.then(e=>(r.push(e),n(a+1)));r.push(i)}return r};return n(0)}function T(n,i,a,s){let l=null;try{l=x(n)}catch(e){}let o=l?t.get(l):null;o?(o.rules=i,o.messages=a):(o=new y(l||n,i,a),l&&t.set(l,o));const u="object"==typeof s&&null!==s?s:{attributeType:s};return o.options.attributeType=u.attributeType||"name",o.options.stopOnFirstFailure=!1!==u.stopOnFirstFailure,o.options.debug=e,r=o,o}function x(e){const t="string"==typeof e?document.getElementById(e.replace("#","")):e;if(!t)throw new Error("Form element not found");return t}function E(e,t,r){const n=r[t]||{};if(A(t)&&!t.endsWith("[]")&&!Object.prototype.hasOwnProperty.call(e,t))return function(e,t,r){const n=F(t,r);let i=[{segments:[],wildcards:[],value:e}];for(let e of t.split(".")){const t=[];i.forEach(r=>{const n=null!==r.value&&"object"==typeof r.value;if("*"===e){if(!n)return;Object.keys(r.value).forEach(e=>t.push({segments:[...r.segments,e],wildcards:[...r.wildcards,e],value:r.value[e]}))}else t.push({segments:[...r.segments,e],wildcards:r.wildcards,value:n?r.value[e]:void 0})}),i=t}return i.map(e=>{const t=e.segments.join(".");return{element:null,value:e.value,fieldName:t,errorKey:t,...k(n,e.wildcards),messages:r,isArray:e.wildcards.length>0,wildcards:e.wildcards}})}(e,t,n);const i=t.endsWith("[]"),a=i?t.slice(0,-2):t,s=F(t,n),l=void 0!==e[t]?e[t]:e[a];return i&&Array.isArray(l)&&l.length>0?l.map((e,t)=>({element:null,value:e,fieldName:a,errorKey:`${a}_${t}`,index:t,label:`${s} #${t+1}`,messages:n,isArray:!0})):[{element:null,value:l,fieldName:a,errorKey:a,index:null,label:s,messages:n,isArray:!1}]}function F(e,t={}){const r=e.endsWith("[]")?e.slice(0,-2):e;return t.label||P("attributes",e)||P("attributes",r)||function(e){return e.replace(/_/g," ").replace(/\b\w/g,e=>e.toUpperCase())}(r.split(".").filter(e=>"*"!==e).join("_"))}function A(e){return"string"==typeof e&&e.includes(".")}function N(e){const t=e.indexOf("[");if(t<=0)return e.split(".");const r=e.slice(t),n=r.match(/\[[^\[\]]*\]/g)||[];return n.join("")!==r?e.split("."):e.slice(0,t).split(".").concat(n.map(e=>e.slice(1,-1)))}function C(e,t){const r=e.split("."),n=Array.isArray(t)?t:N(t);if(r.length!==n.length)return null;const i=[];for(let e=0;e<r.length;e++)if("*"===r[e])i.push(n[e]);else if(r[e]!==n[e])return null;return i}function D(e,t){let r=0;return e.split(".").map(e=>"*"===e&&r<t.length?t[r++]:e).join(".")}function k(e,t){if(0===t.length)return{label:e,index:null};const r=t.map(e=>/^\d+$/.test(e)?Number(e)+1:e),n=t[t.length-1];return{label:`${e} #${r.join(".")}`,index:/^\d+$/.test(n)?Number(n):null}}function $(e,t){if(!function(e){return e.endsWith("[]")||A(e)&&e.split(".").includes("*")}(e))return{itemRules:t,groupRules:[]};const r=t.filter(e=>d.includes(e.name));return r.length>0&&q(t)&&r.unshift({name:"bail",parameters:[]}),{itemRules:t.filter(e=>!d.includes(e.name)),groupRules:r}}function S(e,t,r){const n=function(e){if(e.endsWith("[]"))return e.slice(0,-2);const t=e.split("."),r=t.indexOf("*");return r>0?t.slice(0,r).join("."):e}(e);return{element:t.length>0?t[0].element:null,fieldName:n,errorKey:n,index:null,label:F(e,r),messages:r,isArray:!1,wildcards:[],ruleKey:e,rows:e.replace(/(\.\*)+$/,"").split(".").includes("*")?t:null}}function L(e,t){if(!e.rows||0===e.rows.length||0===t.length)return e;const r=t.find(e=>e.result&&Number.isInteger(e.result.index)),n=e.rows[r?r.result.index:0]||e.rows[0];return{...e,element:n.element,errorKey:n.errorKey,index:n.index}}function j(e,t){const r=t.wildcards||[];return 0===r.length||"regex"===e.name?e:{...e,parameters:e.parameters.map(e=>A(e)&&e.split(".").includes("*")?D(e,r):e)}}function M(e,t,r,n,i,a={},s=!0){const l={fieldName:r.fieldName,dateFormat:R(t),dateTimezone:K(t),...a},o=s||q(t),u=[];for(let a of t.map(e=>j(e,r))){const t=ne(e,a,r.element,n,i,l);if(null===t||H(t)){t&&Promise.resolve(t).catch(e=>console.error(`Error validating rule ${a.name}:`,e));const r={name:"pending",parameters:[a.name]};if(u.push({rule:r,result:{valid:!1},placeholders:O(e,r,n,i,l)}),o)break;continue}if(!t.valid&&(u.push({rule:a,result:t,placeholders:O(e,a,n,i,l)}),o))break}return u}async function U(e,t,r,n,i,a={},s=!0){const l={fieldName:r.fieldName,dateFormat:R(t),dateTimezone:K(t),...a},o=s||q(t),u=[];for(let a of t.map(e=>j(e,r))){let t;try{t=await ie(e,a,r.element,n,i,l)}catch(e){console.error(`Error validating rule ${a.name}:`,e),t={valid:!1,message:V(a.name)}}if(!t.valid&&(u.push({rule:a,result:t,placeholders:O(e,a,n,i,l)}),o))break}return u}function Y(e,t){return t.map(t=>({field:e.fieldName,index:e.index,errorKey:e.errorKey,rule:t.rule.name,parameters:[...t.rule.parameters],label:e.label,message:tr(e.fieldName,t.rule,e.messages,e.label,t.result.message,{...t.placeholders,...t.result.placeholders}),element:e.element}))}function O(e,t,r,n,i={}){const{name:a,parameters:s}=t,l=i.messages||{},o=e=>F(e,l[e]),u={value:z(e)};switch(s.length>0&&Object.assign(u,{min:s[0],max:s.length>1?s[1]:s[0]}),a){case"min":case"min_length":case"min_items":case"min_files":case"duration_min":u.min=s[0];break;case"max":case"max_length":case"max_items":case"max_files":case"duration_max":u.max=s[0];break;case"between":case"digits_between":Object.assign(u,{min:s[0],max:s[1],min_value:s[0],max_value:s[1]});break;case"digits":u.digits=s[0];break;case"decimal":u.places=s.length>1?`${s[0]} to ${s[1]}`:s[0];break;case"size":case"min_size":case"total_size":u.size=function(e){const t=String(e).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);return t?`${t[1]}${(t[2]||"MB").toUpperCase()}`:String(e)}(void 0===s[0]?"4":s[0]);break;case"date_format":u.format=s.join(",");break;case"after":case"before":case"after_or_equal":case"before_or_equal":Q(r,s[0],n)?u.other=u.date=o(s[0]):u.date=s[0];break;case"gt":case"gte":case"lt":case"lte":{const e=Q(r,s[0],n);e?(u.other=o(s[0]),u.value=z(e.value)):u.value=s[0];break}case"same":case"different":u.other=o(s[0]);break;case"required_if":case"required_unless":Object.assign(u,{other:o(s[0]),values:s.slice(2).join(", ")});break;case"required_with":u.values=s.map(o).join(", ");break;case"mimes":u.values=Te(s).join(", ");break;case"mimetypes":case"in":case"not_in":case"contains":case"doesnt_contain":case"day_in":case"audio_channels":u.values=s.join(", ");break;case"min_lead_days":case"max_lead_days":u.days=s[0];break;case"pending":u.rule=s[0];break;case"dimensions":case"video_dimensions":Object.assign(u,It(s))}return u}function z(e){if(null==e)return"";const t=be(e);return t&&t.length>0?t.map(e=>e.name).join(", "):Array.isArray(e)?e.map(z).join(", "):"object"==typeof e?JSON.stringify(e):String(e)}function I(e){return[...new Set(e.map(e=>e.message))]}function q(e){return e.some(e=>"bail"===e.name)}function R(e){const t=e.find(e=>"date_format"===e.name);return t&&t.parameters.length>0?t.parameters.join(","):null}function K(e){const t=e.find(e=>"date_timezone"===e.name);return t&&t.parameters.length>0?t.parameters[0]:null}function H(e){return null!==e&&"object"==typeof e&&"function"==typeof e.then}function P(e,t){const r=[o,o.split("-")[0],"en"];for(let n of r){const r=l[n];if(r&&Object.prototype.hasOwnProperty.call(r[e],t))return r[e][t]}}function J(e,t){const r=`${e}_${t}`;return P("messages",r)||(P("messages",e)?void 0:s[r])}function B(e){return P("messages",e)||s[e]}function V(e){return J(e,"error")||(P("messages",e)?void 0:B("error"))}function W(e,t,r,n,i,a){const s=e=>null!==e&&"object"==typeof e?{...e,valid:!!e.valid}:{valid:!!e},l=e.fn(t,r,n,i,a);return H(l)?Promise.resolve(l).then(s,t=>(console.error("Error in custom rule validation:",t),{valid:!1,message:V(e.name)})):s(l)}function G(e){if(!e)return"";const t=e.tagName.toLowerCase(),r=e.type?e.type.toLowerCase():"";if("file"===r)return e.files;if("checkbox"===r){const t=Z(e);return t.length>1?t.filter(e=>e.checked).map(e=>e.value||"1"):e.checked?e.value||"1":""}if("radio"===r){const t=e.closest("form");if(t){const r=t.querySelector(`input[name="${e.name}"]:checked`);return r?r.value:""}return e.checked?e.value:""}if("select"===t&&e.multiple){const t=Array.from(e.selectedOptions).map(e=>e.value);return t.length>0?t:[]}return e.value||""}function Z(e){const t=e.form||e.closest("form"),r=e.getAttribute("name");return t&&r&&!r.endsWith("[]")?Array.from(t.querySelectorAll('input[type="checkbox"]')).filter(e=>e.getAttribute("name")===r):[e]}function X(e){return e&&"checkbox"===e.type?Z(e):[e]}function Q(e,t,r){if(null==t||""===t)return null;if("data"===r){if(Object.prototype.hasOwnProperty.call(e,t))return{element:null,value:e[t]};if(!A(t))return null;let r=e;for(let e of t.split(".")){if(null===r||"object"!=typeof r||!Object.prototype.hasOwnProperty.call(r,e))return null;r=r[e]}return{element:null,value:r}}let n=e.querySelector(`[${r}="${t}"]`);if(!n&&A(t)){const[i,...a]=t.split(".");n=e.querySelector(`[${r}="${i}${a.map(e=>`[${e}]`).join("")}"]`)}return n?{element:n,value:G(n)}:null}function ee(e){if("string"==typeof e)return function(e){const t=e.split("|"),r=[];for(let e=0;e<t.length;e++){let n=t[e];if(n.startsWith("regex:/"))for(let r=e;r<t.length;r++){const i=t.slice(e,r+1).join("|");if(/^regex:\/[\s\S]*(?<!\\)\/[a-z]*$/.test(i)){n=i,e=r;break}}r.push(n)}return r}(e).map(te);if(Array.isArray(e)){const t=[];return e.forEach(e=>{"string"==typeof e?t.push(te(e)):"function"==typeof e?t.push({name:e.name||"closure",parameters:[],fn:e}):e instanceof RegExp?t.push({name:"regex",parameters:[String(e)]}):null!==e&&"object"==typeof e?t.push(...ee(e)):!1!==e&&null!=e&&console.warn("Unsupported rule definition skipped:",e)}),t}if(null!==e&&"object"==typeof e){const t=[];for(let r in e){const n=e[r];!1!==n&&null!=n&&("function"==typeof n?t.push({name:r,parameters:[],fn:n}):!0===n?t.push({name:r,parameters:[]}):Array.isArray(n)?t.push({name:r,parameters:n.map(String)}):n instanceof RegExp?t.push({name:r,parameters:[String(n)]}):t.push({name:r,parameters:re(r,String(n))}))}return t}return null!=e&&console.warn("Unsupported rules definition, expected a string, an array or an object:",e),[]}function te(e){const t=e.indexOf(":");if(-1===t)return{name:e,parameters:[]};const r=e.slice(0,t);return{name:r,parameters:re(r,e.slice(t+1))}}function re(e,t){return"regex"===e?""===t?[]:[t]:t.split(",").filter(e=>""!==e)}function ne(e,t,r,i,a,s={}){const l="function"!=typeof t.fn&&!n[t.name];if(l&&"remote"===t.name)return function(e,t,r,n,i,a={}){if(""===e||null==e)return{valid:!0};if(!t[0])return{valid:!1,message:J("remote","url")};const{requestKey:s,state:l}=er(e,t,r,n,i,a);return l.result&&l.requestKey===s?l.result:null}(e,t.parameters,r,i,a,s);if(l&&function(e){return m.includes(e.name)||"mimes"===e.name&&e.parameters.includes("content")}(t)){const r=be(e);if(e&&r&&r.length>0){const e="mimes"===t.name?xe(r,Te(t.parameters)):{valid:!0};return e.valid?null:e}}return ie(e,t,r,i,a,s)}function ie(e,t,r,i,a,s={}){const{name:l,parameters:o}=t,u=s.dateTimezone?function(e,t,r){const n=Q(t,e,r);if(n)return n.value?String(n.value):null;return e}(s.dateTimezone,i,a):null;try{if("function"==typeof t.fn)return W(t,e,o,r,i,a);if(n[l])return W(n[l],e,o,r,i,a);if(u&&f.includes(l)&&""!==e&&null!=e&&void 0===Ye(u,new Date))return{valid:!1,message:B("date_timezone")};switch(l){case"required":return ae(e,r);case"required_if":return se(e,o,i,a);case"required_with":return Vt(e,o,i,a);case"required_unless":return le(e,o,i,a);case"string":return oe(e);case"numeric":case"double":case"float":return ue(e);case"integer":return de(e);case"email":return ce(e);case"array":return fe(e);case"file":return me(e);case"size":return he(e,o,r);case"min_size":return pe(e,o);case"total_size":return ge(e,o);case"min_files":return ve(e,o);case"max_files":return ye(e,o);case"mimes":return _e(e,o);case"mimetypes":return Ee(e,o);case"min":return De(e,o,r);case"max":return ke(e,o,r);case"between":return $e(e,o,r);case"date":return Se(e,s.dateFormat,u);case"date_format":return Le(e,o,u);case"date_timezone":case"nullable":case"sometimes":case"bail":return{valid:!0};case"after":return qe(e,o,i,a,s.dateFormat,u);case"before":return Re(e,o,i,a,s.dateFormat,u);case"after_or_equal":return Ke(e,o,i,a,s.dateFormat,u);case"before_or_equal":return He(e,o,i,a,s.dateFormat,u);case"weekend":return We(e,s.dateFormat,u);case"weekday":return Ge(e,s.dateFormat,u);case"day_in":return Ze(e,o,s.dateFormat,u);case"business_day":return Xe(e,o,s.dateFormat,u);case"not_holiday":return Qe(e,o,s.dateFormat,u);case"min_lead_days":return tt(e,o,s.dateFormat,u);case"max_lead_days":return rt(e,o,s.dateFormat,u);case"time":return it(e);case"url":return at(e);case"boolean":return st(e);case"confirmed":return lt(e,r,i,a,s);case"alpha":return ot(e);case"alpha_num":return ut(e);case"same":return dt(e,o,i,a);case"different":return ct(e,o,i,a);case"in":return ft(e,o);case"not_in":return mt(e,o);case"regex":return bt(e,o);case"json":return wt(e);case"ip":return _t(e);case"ipv4":return Tt(e);case"ipv6":return xt(e);case"uuid":return Et(e);case"digits":return Ft(e,o);case"digits_between":return At(e,o);case"currency":return Nt(e,o);case"min_length":return Ct(e,o);case"max_length":return Dt(e,o);case"alpha_dash":return kt(e);case"lowercase":return $t(e);case"uppercase":return St(e);case"decimal":return Lt(e,o);case"gt":return jt(e,o,i,a);case"lt":return Ut(e,o,i,a);case"lte":return Yt(e,o,i,a);case"gte":return Mt(e,o,i,a);case"dimensions":return zt(e,o);case"duration_min":return Kt(e,o,"duration_min",(e,t)=>e>=t);case"duration_max":return Kt(e,o,"duration_max",(e,t)=>e<=t);case"video_dimensions":return Ht(e,o);case"audio_channels":return Pt(e,o);case"min_items":return pt(e,o);case"max_items":return gt(e,o);case"distinct":return vt(e,o);case"required_one_of":return yt(e);case"contains":return Wt(e,o);case"doesnt_contain":return Gt(e,o);case"accepted":return Zt(e);case"image":return Xt(e);case"remote":return Qt(e,o,r,i,a,s);default:return""!==l&&console.warn(`Unknown validation rule "${l}" was ignored. Register it with validationJsExtend().`),{valid:!0}}}catch(e){return console.error(`Error validating rule ${l}:`,e),{valid:!1,message:V(l)}}}function ae(e,t){return t&&"file"===t.type?{valid:e&&e.length>0}:Array.isArray(e)?{valid:e.length>0}:{valid:null!=e&&""!==String(e).trim()}}function se(e,t,r,n){if(t.length<2)return{valid:!0};const[i,a,...s]=t,l=Q(r,i,n);if(!l)return{valid:!0};const o=l.element,u=l.value;let d=!1;const c=e=>null==e||""===e||"string"==typeof e&&"null"===e.toLowerCase()?null:String(e),f=e=>null==e||""===e||"string"==typeof e&&"null"===e.toLowerCase(),m=c(u),h=s.map(c);switch(a){case"=":case"==":d=h.includes("null")||h.includes(null)?f(u):h.includes(m);break;case"!=":case"!==":d=h.includes("null")||h.includes(null)?!f(u):!h.includes(m);break;case">":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=h.some(t=>!f(t)&&!isNaN(t)&&e>parseFloat(t))}break;case">=":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=h.some(t=>!f(t)&&!isNaN(t)&&e>=parseFloat(t))}break;case"<":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=h.some(t=>!f(t)&&!isNaN(t)&&e<parseFloat(t))}break;case"<=":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=h.some(t=>!f(t)&&!isNaN(t)&&e<=parseFloat(t))}break;case"in":d=h.includes(m);break;case"not_in":d=!h.includes(m);break;case"empty":d=f(u);break;case"not_empty":d=!f(u);break;case"true":d=(e=>{if("boolean"==typeof e)return e;if("string"==typeof e){const t=e.toLowerCase();return"true"===t||"1"===t||"yes"===t||"on"===t}return"number"==typeof e&&0!==e})(u);break;case"false":d=(e=>{if("boolean"==typeof e)return!e;if("string"==typeof e){const t=e.toLowerCase();return"false"===t||"0"===t||"no"===t||"off"===t||""===t}return"number"==typeof e?0===e:null==e})(u);break;case"contains":"string"==typeof u&&(d=h.some(e=>e&&u.toLowerCase().includes(String(e).toLowerCase())));break;case"not_contains":d="string"!=typeof u||!h.some(e=>e&&u.toLowerCase().includes(String(e).toLowerCase()));break;case"starts_with":"string"==typeof u&&(d=h.some(e=>e&&u.toLowerCase().startsWith(String(e).toLowerCase())));break;case"ends_with":"string"==typeof u&&(d=h.some(e=>e&&u.toLowerCase().endsWith(String(e).toLowerCase())));break;case"regex":if(s.length>0)try{d=new RegExp(s[0],s[1]||"").test(String(u))}catch(e){console.warn("Invalid regex pattern in required_if validation:",s[0]),d=!1}break;case"length":const e=String(u).length;if(1===s.length)d=e===parseInt(s[0]);else if(2===s.length){const t=parseInt(s[0])||0,r=parseInt(s[1])||1/0;d=e>=t&&e<=r}break;case"count":let t=0;if(Array.isArray(u))t=u.length;else if(o&&"checkbox"===o.type){t=o.closest("form").querySelectorAll(`input[name="${o.name}"]:checked`).length}else o&&"file"===o.type&&(t=o.files?o.files.length:0);if(1===s.length)d=t===parseInt(s[0]);else if(2===s.length){const e=parseInt(s[0])||0,r=parseInt(s[1])||1/0;d=t>=e&&t<=r}}return d?ae(e,null):{valid:!0}}function le(e,t,r,n){try{if(t.length<2)return{valid:!0};const[i,a,...s]=t,l=Q(r,i,n);if(!l)return ae(e,null);const o=l.element,u=l.value;let d=!1;const c=e=>null==e||""===e||"string"==typeof e&&"null"===e.toLowerCase()?null:String(e),f=e=>null==e||""===e||"string"==typeof e&&"null"===e.toLowerCase(),m=e=>{if("boolean"==typeof e)return e;if("string"==typeof e){const t=e.toLowerCase();return"true"===t||"1"===t||"yes"===t||"on"===t}return"number"==typeof e&&0!==e},h=e=>{if("boolean"==typeof e)return!e;if("string"==typeof e){const t=e.toLowerCase();return"false"===t||"0"===t||"no"===t||"off"===t||""===t}return"number"==typeof e?0===e:null==e},p=c(u),g=s.map(c);switch(a){case"=":case"==":d=g.includes("null")||g.includes(null)?f(u):g.includes(p);break;case"!=":case"!==":d=g.includes("null")||g.includes(null)?!f(u):!g.includes(p);break;case">":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=g.some(t=>!f(t)&&!isNaN(t)&&e>parseFloat(t))}break;case">=":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=g.some(t=>!f(t)&&!isNaN(t)&&e>=parseFloat(t))}break;case"<":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=g.some(t=>!f(t)&&!isNaN(t)&&e<parseFloat(t))}break;case"<=":if(!f(u)&&!isNaN(u)){const e=parseFloat(u);d=g.some(t=>!f(t)&&!isNaN(t)&&e<=parseFloat(t))}break;case"in":default:d=g.includes(p);break;case"not_in":d=!g.includes(p);break;case"empty":d=f(u);break;case"not_empty":d=!f(u);break;case"true":d=m(u);break;case"false":d=h(u);break;case"contains":"string"==typeof u&&(d=g.some(e=>e&&u.toLowerCase().includes(String(e).toLowerCase())));break;case"not_contains":d="string"!=typeof u||!g.some(e=>e&&u.toLowerCase().includes(String(e).toLowerCase()));break;case"starts_with":"string"==typeof u&&(d=g.some(e=>e&&u.toLowerCase().startsWith(String(e).toLowerCase())));break;case"ends_with":"string"==typeof u&&(d=g.some(e=>e&&u.toLowerCase().endsWith(String(e).toLowerCase())));break;case"regex":if(s.length>0)try{d=new RegExp(s[0],s[1]||"").test(String(u))}catch(e){console.warn("Invalid regex pattern in required_unless validation:",s[0]),d=!1}break;case"length":const e=String(u).length;if(1===s.length)d=e===parseInt(s[0]);else if(2===s.length){const t=parseInt(s[0])||0,r=parseInt(s[1])||1/0;d=e>=t&&e<=r}break;case"count":let t=0;if(Array.isArray(u))t=u.length;else if(o&&"checkbox"===o.type){const e=o.closest("form");t=e.querySelectorAll(`input[name="${o.name}"]:checked`).length}else o&&"file"===o.type&&(t=o.files?o.files.length:0);if(1===s.length)d=t===parseInt(s[0]);else if(2===s.length){const e=parseInt(s[0])||0,r=parseInt(s[1])||1/0;d=t>=e&&t<=r}}if(d)return{valid:!0};const v=ae(e,null);return v.valid?{valid:!0}:v}catch(e){return console.error("Error in validateRequiredUnless:",e),{valid:!1,message:V("required_unless")}}}function oe(e){return{valid:"string"==typeof e||null==e||""===e}}function ue(e){return""===e||null==e?{valid:!0}:"string"==typeof e&&/[eE]/.test(e)?{valid:!1}:{valid:!isNaN(e)&&!isNaN(parseFloat(e))}}function de(e){return""===e||null==e?{valid:!0}:"string"==typeof e&&/[eE]/.test(e)?{valid:!1}:{valid:Number.isInteger(Number(e))}}function ce(e){if(""===e||null==e)return{valid:!0};return{valid:/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)}}function fe(e){return""===e||null==e?{valid:!0}:("string"==typeof e&&(e=e.split(",").map(e=>e.trim()).filter(e=>""!==e)),{valid:Array.isArray(e)})}function me(e){return{valid:!!e&&"undefined"!=typeof FileList&&e instanceof FileList}}function he(e,t,r){const n=be(e);if(!n||0===n.length)return{valid:!0};const i=we(void 0===t[0]?"4":t[0]);if(isNaN(i))return{valid:!1};const a=n.find(e=>e.size>i);return a?{valid:!1,placeholders:{file:a.name}}:{valid:!0}}function pe(e,t){const r=be(e);if(!r||0===r.length)return{valid:!0};const n=we(t[0]);if(isNaN(n))return{valid:!1};const i=r.find(e=>e.size<n);return i?{valid:!1,placeholders:{file:i.name}}:{valid:!0}}function ge(e,t){const r=be(e);if(!r||0===r.length)return{valid:!0};const n=we(t[0]);return isNaN(n)?{valid:!1}:{valid:r.reduce((e,t)=>e+t.size,0)<=n}}function ve(e,t){const r=be(e);return r&&0!==r.length?{valid:r.length>=parseInt(t[0],10)}:{valid:!0}}function ye(e,t){const r=be(e);return r&&0!==r.length?{valid:r.length<=parseInt(t[0],10)}:{valid:!0}}function be(e){if("undefined"!=typeof FileList&&e instanceof FileList)return Array.from(e);if("undefined"!=typeof Blob){if(e instanceof Blob)return[e];if(Array.isArray(e)&&e.every(e=>e instanceof Blob))return e}return null}function we(e){const t=String(e).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);if(!t)return NaN;return parseFloat(t[1])*{b:1,kb:1024,mb:1048576,gb:1073741824}[(t[2]||"mb").toLowerCase()]}function _e(e,t){if(!e||0===e.length)return{valid:!0};const r=be(e);if(!r)return{valid:!1};const n=Te(t),i=xe(r,n);if(!t.includes("content")||!i.valid||0===r.length)return i;const a=n.map(e=>e.trim().toLowerCase()).filter(Boolean);return Promise.all(r.map(e=>Fe(e,64).then(t=>Ae(e,t,a,"mimes")))).then(e=>e.find(e=>!e.valid)||{valid:!0}).catch(e=>(console.error("Error in mimes validation:",e),{valid:!1}))}function Te(e){return e.filter(e=>"content"!==e)}function xe(e,t){const r=t.map(e=>e.trim().toLowerCase());for(let t of e){const e=t.name.toLowerCase().split(".").pop();if(!r.includes(e))return{valid:!1,placeholders:{file:t.name}}}return{valid:!0}}function Ee(e,t){if(!e||0===e.length)return{valid:!0};const r=be(e);if(!r)return{valid:!1};const n=t.map(e=>e.trim().toLowerCase()).filter(Boolean);return Promise.all(r.map(e=>Fe(e,64).then(t=>Ae(e,t,n,"mimetypes")))).then(e=>e.find(e=>!e.valid)||{valid:!0}).catch(e=>(console.error("Error in mimetypes validation:",e),{valid:!1}))}function Fe(e,t){return new Promise((r,n)=>{const i=new FileReader;i.onload=()=>r(new Uint8Array(i.result)),i.onerror=()=>n(i.error),i.readAsArrayBuffer(e.slice(0,t))})}function Ae(e,t,r,n){const i=(e.name||"").toLowerCase(),a=i.includes(".")?i.split(".").pop():"",s=v.find(e=>e.extensions.includes(a)),l=function(e,t){const r=v.find(t=>(t.signatures||[]).some(t=>t.split(" ").every((t,r)=>r<e.length&&("??"===t||e[r]===parseInt(t,16)))));if(!r)return null;if(t&&t.container===r.type)return t.type;return r.type}(t,s);if(s?l!==s.type:"mimes"===n&&null!==l&&!Ne(l,r))return{valid:!1,message:J(n,"mismatch"),placeholders:{file:e.name}};const o=l?Ne(l,r):Ne((e.type||"").toLowerCase(),r)||r.includes(a);return o?{valid:o}:{valid:o,placeholders:{file:e.name}}}function Ne(e,t){return!!e&&t.some(t=>{if(t.endsWith("/*"))return e.startsWith(t.slice(0,-1));if(t.includes("/"))return t===e;const r=v.find(e=>e.extensions.includes(t));return void 0!==r&&r.type===e})}function Ce(e){if("number"==typeof e)return!isNaN(e)&&isFinite(e);if("string"==typeof e){const t=e.trim();if(""===t||"."===t||"-"===t||"+"===t)return!1;if(!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(t))return!1;const r=parseFloat(t);return!isNaN(r)&&isFinite(r)}return!1}function De(e,t,r){if(""===e||null==e)return{valid:!0};const n=parseFloat(t[0]);if(r&&"file"===r.type)return{valid:e.length>=n};if(Ce(e))return{valid:parseFloat(e)>=n};if(Array.isArray(e)||"string"==typeof e&&e.includes(",")){return{valid:(Array.isArray(e)?e:e.split(",").map(e=>e.trim()).filter(e=>""!==e)).length>=n}}return"string"==typeof e?{valid:e.length>=n}:{valid:parseFloat(e)>=n}}function ke(e,t,r){if(""===e||null==e)return{valid:!0};const n=parseFloat(t[0]);if(r&&"file"===r.type)return{valid:e.length<=n};if(Ce(e))return{valid:parseFloat(e)<=n};if(Array.isArray(e)||"string"==typeof e&&e.includes(",")){return{valid:(Array.isArray(e)?e:e.split(",").map(e=>e.trim()).filter(e=>""!==e)).length<=n}}return"string"==typeof e?{valid:e.length<=n}:{valid:parseFloat(e)<=n}}function $e(e,t,r){if(""===e||null==e)return{valid:!0};const[n,i]=t.map(e=>parseFloat(e));if(r&&"time"===r.type){const r=e=>{const[t,r]=e.split(":").map(Number);return 60*t+r},n=r(e),i=r(t[0]),a=r(t[1]);return{valid:n>=i&&n<=a}}if("string"==typeof e)return{valid:e.length>=n&&e.length<=i};const a=parseFloat(e);return{valid:a>=n&&a<=i}}function Se(e,t,r){if(""===e||null==e)return{valid:!0};const n=Ie(e,t,r);return{valid:!isNaN(n.getTime())}}function Le(e,t,r){if(""===e||null==e)return{valid:!0};const n=t.join(",");return n?null!==je(String(e),n,r)?{valid:!0}:null!==je(String(e),n,"UTC")?{valid:!1,message:J("date_format","skipped")}:{valid:!1}:{valid:!1}}function je(e,t,r){if(h[t]){if(/(^|\D)\d(?!\d)/.test(e))return null;for(let n of[].concat(h[t])){const t=je(e,n,r);if(t)return t}return null}const n=function(e){const t={d:"\\d{1,2}",j:"\\d{1,2}",D:"[a-z]{3}",l:"[a-z]+",N:"[1-7]",w:"[0-6]",S:"st|nd|rd|th",z:"\\d{1,3}",m:"\\d{1,2}",n:"\\d{1,2}",M:"[a-z]{3}",F:"[a-z]+",y:"\\d{2}",Y:"\\d{4}",a:"[ap]m",A:"[ap]m",g:"\\d{1,2}",G:"\\d{1,2}",h:"\\d{1,2}",H:"\\d{1,2}",i:"\\d{2}",s:"\\d{2}",u:"\\d{1,6}",v:"\\d{3}",e:"z|utc|[+-]\\d{2}:?\\d{2}|[a-z_]+(?:\\/[a-z0-9_+-]+)*",O:"z|[+-]\\d{4}",P:"z|[+-]\\d{2}:\\d{2}",p:"z|[+-]\\d{2}:\\d{2}",T:"[a-z]{1,5}|[+-]\\d{2}:?\\d{2}",U:"-?\\d+"},r={c:"Y-m-d\\TH:i:sP",r:"D, d M Y H:i:s O"},n=[];let i="",a=e;for(let e=0;e<a.length;e++){const s=a[e];"\\"===s?(e++,e<a.length&&(i+=a[e].replace(/[.*+?^${}()|[\]\\\/]/g,"\\$&"))):r[s]?(a=a.slice(0,e)+r[s]+a.slice(e+1),e--):t[s]?(n.push(s),i+=`(${t[s]})`):"?"===s?i+="[\\s\\S]":"*"===s?i+="[^\\s,;:\\/.()\\-\\d]*":"+"===s?i+="[\\s\\S]*":"!"!==s&&"|"!==s&&(i+=s.replace(/[.*+?^${}()|[\]\\\/]/g,"\\$&"))}return{regex:new RegExp(`^${i}$`,"i"),tokens:n}}(t),i=e.trim().match(n.regex);if(!i)return null;const a={};return n.tokens.forEach((e,t)=>{a[e]=i[t+1]}),function(e,t){if(void 0!==e.U)return new Date(1e3*Number(e.U));const r=[e.P,e.p,e.O,e.e,e.T].find(e=>void 0!==e);if(void 0!==r){if(void 0===Ue(r))return null;void 0!==Ye(r,new Date)&&(t=r)}const n=Oe(new Date,t),i=(e,t,r)=>e.findIndex(e=>(r?e.slice(0,3):e).toLowerCase()===t.toLowerCase());let a=void 0!==e.Y?Number(e.Y):void 0;void 0!==e.y&&(a=Number(e.y)<70?2e3+Number(e.y):1900+Number(e.y));let s=void 0!==e.m?Number(e.m):void 0!==e.n?Number(e.n):void 0;void 0!==e.M&&(s=i(g,e.M,!0)+1);void 0!==e.F&&(s=i(g,e.F,!1)+1);let l=void 0!==e.d?Number(e.d):void 0!==e.j?Number(e.j):void 0;void 0===a&&void 0===s&&void 0===l&&void 0===e.z&&([a,s,l]=[n.getUTCFullYear(),n.getUTCMonth()+1,n.getUTCDate()]);if(a=void 0===a?n.getUTCFullYear():a,void 0!==e.z&&void 0===s&&void 0===l){const t=Number(e.z);if(t>=(29===Me(a,2)?366:365))return null;const r=new Date(0);r.setUTCFullYear(a,0,1+t),[s,l]=[r.getUTCMonth()+1,r.getUTCDate()]}if(s=void 0===s?1:s,l=void 0===l?1:l,s<1||s>12||l<1||l>Me(a,s))return null;let o=[e.H,e.G,e.h,e.g].find(e=>void 0!==e);o=void 0===o?0:Number(o);const u=void 0!==e.h||void 0!==e.g,d=(e.A||e.a||"").toLowerCase();if(u||d){if(o<1||o>12)return null;d&&(o=o%12+("pm"===d?12:0))}else if(o>23)return null;const c=void 0!==e.i?Number(e.i):0,f=void 0!==e.s?Number(e.s):0;if(c>59||f>59)return null;let m=void 0!==e.v?Number(e.v):0;void 0!==e.u&&(m=Math.floor(Number(e.u.padEnd(6,"0"))/1e3));const h=new Date(Date.UTC(2e3,0,1));h.setUTCFullYear(a,s-1,l);const v=h.getUTCDay(),y=l%10==1&&11!==l?"st":l%10==2&&12!==l?"nd":l%10==3&&13!==l?"rd":"th";if(void 0!==e.D&&i(p,e.D,!0)!==v||void 0!==e.l&&i(p,e.l,!1)!==v||void 0!==e.N&&Number(e.N)%7!==v||void 0!==e.w&&Number(e.w)!==v||void 0!==e.S&&e.S.toLowerCase()!==y)return null;return h.setUTCHours(o,c,f,m),ze(h,t)}(a,r)}function Me(e,t){return[31,e%4==0&&e%100!=0||e%400==0?29:28,31,30,31,30,31,31,30,31,30,31][t-1]}function Ue(e){if(void 0===e)return null;if(/^(z|utc|gmt)$/i.test(e))return 0;const t=e.match(/^([+-])(\d{2}):?(\d{2})$/);return t?Number(t[2])>14||Number(t[3])>59?void 0:("-"===t[1]?-1:1)*(60*Number(t[2])+Number(t[3])):null}function Ye(e,t){const r=Ue(e);if(null!==r)return r;try{const r={};new Intl.DateTimeFormat("en-US",{timeZone:e,hourCycle:"h23",year:"numeric",month:"numeric",day:"numeric",hour:"numeric",minute:"numeric",second:"numeric"}).formatToParts(t).forEach(e=>{r[e.type]=Number(e.value)});const n=new Date(0);return n.setUTCFullYear(r.year,r.month-1,r.day),n.setUTCHours(r.hour,r.minute,r.second,0),Math.round((n.getTime()-1e3*Math.floor(t.getTime()/1e3))/6e4)}catch(e){return}}function Oe(e,t){let r=t?Ye(t,e):void 0;return void 0===r&&(r=-e.getTimezoneOffset()),new Date(e.getTime()+6e4*r)}function ze(e,t,r=!1){if(t){const n=Ue(t);if(null!=n)return new Date(e.getTime()-6e4*n);const i=[-1,1].map(r=>Ye(t,new Date(e.getTime()+864e5*r)));if(void 0!==i[0]){const n=i.map(t=>new Date(e.getTime()-6e4*t)).filter((e,r)=>Ye(t,e)===i[r]);return n.length>0?new Date(Math.min(...n.map(e=>e.getTime()))):r?new Date(e.getTime()-6e4*i[0]):null}return null}const n=new Date(2e3,0,1);return n.setFullYear(e.getUTCFullYear(),e.getUTCMonth(),e.getUTCDate()),n.setHours(e.getUTCHours(),e.getUTCMinutes(),e.getUTCSeconds(),e.getUTCMilliseconds()),r||n.getHours()===e.getUTCHours()&&n.getMinutes()===e.getUTCMinutes()?n:null}function Ie(e,t,r){return t&&"string"==typeof e?je(e,t,r)||new Date(NaN):Be(e,r)}function qe(e,t,r,n,i,a){return""===e||null==e?{valid:!0}:Pe(e,t,r,n,i,a,(e,t)=>e>t)}function Re(e,t,r,n,i,a){return""===e||null==e?{valid:!0}:Pe(e,t,r,n,i,a,(e,t)=>e<t)}function Ke(e,t,r,n,i,a){return""===e||null==e?{valid:!0}:Pe(e,t,r,n,i,a,(e,t)=>e>=t)}function He(e,t,r,n,i,a){return""===e||null==e?{valid:!0}:Pe(e,t,r,n,i,a,(e,t)=>e<=t)}function Pe(e,t,r,n,i,a,s){const l=function(e,t,r,n,i){if(null==e||""===e)return null;const a=Q(t,e,r);if(a)return Je(a.value,n,i);return function(e,t){const r=String(e).trim().toLowerCase().match(/^(now|today|tomorrow|yesterday)?\s*(?:([+-])\s*(\d+)\s*(second|minute|hour|day|week|month|year)s?)?$/);if(!r||!r[1]&&!r[2])return null;const[,n,i,a,s]=r,l=i?("-"===i?-1:1)*parseInt(a,10):0,o={second:1e3,minute:6e4,hour:36e5},u="now"===n||void 0===n&&void 0!==o[s];if(u&&(!i||o[s]))return new Date(Date.now()+l*(o[s]||0));const d=Oe(new Date,t);u||d.setUTCHours(0,0,0,0);"tomorrow"===n&&d.setUTCDate(d.getUTCDate()+1);"yesterday"===n&&d.setUTCDate(d.getUTCDate()-1);switch(s){case"day":d.setUTCDate(d.getUTCDate()+l);break;case"week":d.setUTCDate(d.getUTCDate()+7*l);break;case"month":d.setUTCMonth(d.getUTCMonth()+l);break;case"year":d.setUTCFullYear(d.getUTCFullYear()+l)}const c=ze(d,t,!0)||new Date(NaN);return i&&o[s]?new Date(c.getTime()+l*o[s]):c}(e,i)||Je(e,n,i)}(t[0],r,n,i,a),o=Ie(e,i,a);return!l||isNaN(l.getTime())||isNaN(o.getTime())?{valid:!1}:{valid:s(o.getTime(),l.getTime())}}function Je(e,t,r){const n=Ie(e,t,r);return isNaN(n.getTime())?Be(e,r):n}function Be(e,t){if(e instanceof Date)return new Date(e.getTime());const r="string"==typeof e?e.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/):null;if(r){const[,e,n,i,a=0,s=0,l=0,o="0"]=r,u=new Date(0);return u.setUTCFullYear(Number(e),Number(n)-1,Number(i)),u.setUTCHours(Number(a),Number(s),Number(l),Number(o.padEnd(3,"0"))),ze(u,t,void 0===r[4])||new Date(NaN)}return new Date(null==e?"":e)}function Ve(e,t,r){const n=Ie(e,t,r);if(isNaN(n.getTime()))return null;const i=Oe(n,r);return i.setUTCHours(0,0,0,0),i}function We(e,t,r){if(""===e||null==e)return{valid:!0};const n=Ve(e,t,r);if(!n)return{valid:!1};const i=n.getUTCDay();return{valid:0===i||6===i}}function Ge(e,t,r){if(""===e||null==e)return{valid:!0};const n=Ve(e,t,r);if(!n)return{valid:!1};const i=n.getUTCDay();return{valid:i>=1&&i<=5}}function Ze(e,t,r,n){if(""===e||null==e)return{valid:!0};const i=t.map(e=>p.findIndex(t=>[t.toLowerCase(),t.slice(0,3).toLowerCase()].includes(e.trim().toLowerCase())));i.includes(-1)&&console.warn(`Unknown day in day_in:${t.join(",")}, use mon, tue, wed, thu, fri, sat or sun`);const a=Ve(e,r,n);return a?{valid:i.includes(a.getUTCDay())}:{valid:!1}}function Xe(e,t,r,n){if(""===e||null==e)return{valid:!0};const i=Ve(e,r,n);if(!i)return{valid:!1};const a=t.length>0?t:Object.keys(u).filter(e=>"default"===e),s=i.getUTCDay();return{valid:s>=1&&s<=5&&!et(i,a)}}function Qe(e,t,r,n){if(""===e||null==e)return{valid:!0};const i=Ve(e,r,n);return i?{valid:!et(i,t)}:{valid:!1}}function et(e,t){const r=e.toISOString().slice(0,10);return t.some(e=>{const t=u[e.trim()];if(!t)throw new Error(`Unknown holiday calendar "${e}". Register it with validationJsHolidays().`);return t.dates.has(r)||t.dates.has(r.slice(5))||null!==t.fn&&Boolean(t.fn(r))})}function tt(e,t,r,n){return nt(e,t,r,n,(e,t)=>e>=t)}function rt(e,t,r,n){return nt(e,t,r,n,(e,t)=>e<=t)}function nt(e,t,r,n,i){if(""===e||null==e)return{valid:!0};const a=parseInt(t[0],10),s=Ve(e,r,n);if(isNaN(a)||!s)return{valid:!1};const l=Oe(new Date,n);return l.setUTCHours(0,0,0,0),{valid:i(Math.round((s.getTime()-l.getTime())/864e5),a)}}function it(e){if(""===e||null==e)return{valid:!0};return{valid:/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(e)}}function at(e){if(""===e||null==e)return{valid:!0};try{return new URL(e),{valid:!0}}catch{return{valid:!1}}}function st(e){if(""===e||null==e)return{valid:!0};return{valid:["true","false","1","0",1,0,!0,!1].includes(e)}}function lt(e,t,r,n,i={}){const a=t?t.getAttribute(n):i.fieldName,s=Q(r,/\[[^\[\]]+\]$/.test(a)?a.replace(/\]$/,"_confirmation]"):a+"_confirmation",n);return s?{valid:e===s.value}:{valid:!1,message:J("confirmed","missing")}}function ot(e){if(""===e||null==e)return{valid:!0};return{valid:/^[a-zA-Z]+$/.test(e)}}function ut(e){if(""===e||null==e)return{valid:!0};return{valid:/^[a-zA-Z0-9]+$/.test(e)}}function dt(e,t,r,n){const i=Q(r,t[0],n);return i?{valid:e===i.value}:{valid:!1,message:J("same","missing")}}function ct(e,t,r,n){const i=Q(r,t[0],n);return i?{valid:e!==i.value}:{valid:!0}}function ft(e,t){return""===e||null==e?{valid:!0}:Array.isArray(e)?{valid:e.every(e=>t.includes(String(e)))}:{valid:t.includes(String(e))}}function mt(e,t){return""===e||null==e?{valid:!0}:Array.isArray(e)?{valid:!e.some(e=>t.includes(String(e)))}:{valid:!t.includes(String(e))}}function ht(e){const t=e=>Array.isArray(e)?e.flatMap(t):"undefined"!=typeof FileList&&e instanceof FileList?Array.from(e):[e];return t(e).filter(e=>null!=e&&""!==String(e).trim())}function pt(e,t){return{valid:ht(e).length>=parseInt(t[0],10)}}function gt(e,t){return{valid:ht(e).length<=parseInt(t[0],10)}}function vt(e,t){const r=t.includes("ignore_case"),n=new Set,i=Array.isArray(e)?e:[e];for(let e=0;e<i.length;e++)for(let t of ht(i[e])){let i="object"==typeof t&&"name"in t&&"size"in t?`${t.name}:${t.size}`:String(t).trim();if(r&&(i=i.toLowerCase()),n.has(i))return{valid:!1,index:e};n.add(i)}return{valid:!0}}function yt(e){return{valid:ht(e).length>0}}function bt(e,t){if(""===e||null==e)return{valid:!0};try{const r=t[0],n=r.match(/^\/([\s\S]*)\/([a-z]*)$/);return{valid:(n?new RegExp(n[1],n[2]):new RegExp(r.replace(/^\/|\/$/g,""))).test(e)}}catch(e){return{valid:!1,message:V("regex")}}}function wt(e){if(""===e||null==e)return{valid:!0};try{return JSON.parse(e),{valid:!0}}catch{return{valid:!1}}}function _t(e){return""===e||null==e?{valid:!0}:{valid:Tt(e).valid||xt(e).valid}}function Tt(e){if(""===e||null==e)return{valid:!0};return{valid:/^((25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(e)}}function xt(e){if(""===e||null==e)return{valid:!0};return{valid:/^(([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)|fe80:(:[0-9a-fA-F]{0,4}){0,4}%[0-9a-zA-Z]{1,}|::(ffff(:0{1,4}){0,1}:){0,1}((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])|([0-9a-fA-F]{1,4}:){1,4}:((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9]))$/.test(e)}}function Et(e){if(""===e||null==e)return{valid:!0};return{valid:/^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(e)}}function Ft(e,t){if(""===e||null==e)return{valid:!0};const r=parseInt(t[0]);return{valid:/^\d+$/.test(e)&&String(e).length===r}}function At(e,t){if(""===e||null==e)return{valid:!0};const r=parseInt(t[0]),n=parseInt(t[1]),i=String(e).length;return{valid:/^\d+$/.test(e)&&i>=r&&i<=n}}function Nt(e,t){if(""===e||null==e)return{valid:!0};const r=t[0]?parseInt(t[0]):16,n=String(e);if(n.length>r)return{valid:!1};if(/[eE]/.test(n))return{valid:!1};if(!/^[0-9,\.]+$/.test(n))return{valid:!1};const i=n.split(".");if(i.length>2)return{valid:!1};if(2===i.length){const e=i[1];if(!/^\d+$/.test(e))return{valid:!1}}const a=i[0];return/^[0-9,]*$/.test(a)?{valid:!0}:{valid:!1}}function Ct(e,t){if(""===e||null==e)return{valid:!0};try{const r=parseInt(t[0]);return{valid:String(e).length>=r}}catch(e){return console.error("Error in min_length validation:",e),{valid:!1}}}function Dt(e,t){if(""===e||null==e)return{valid:!0};try{const r=parseInt(t[0]);return{valid:String(e).length<=r}}catch(e){return console.error("Error in max_length validation:",e),{valid:!1}}}function kt(e){if(""===e||null==e)return{valid:!0};try{return{valid:/^[a-zA-Z0-9_-]+$/.test(e)}}catch(e){return console.error("Error in alpha_dash validation:",e),{valid:!1}}}function $t(e){if(""===e||null==e)return{valid:!0};try{return{valid:String(e).toLowerCase()===String(e)}}catch(e){return console.error("Error in lowercase validation:",e),{valid:!1}}}function St(e){if(""===e||null==e)return{valid:!0};try{return{valid:String(e).toUpperCase()===String(e)}}catch(e){return console.error("Error in uppercase validation:",e),{valid:!1}}}function Lt(e,t){if(""===e||null==e)return{valid:!0};try{let r=1,n=null;if(t&&t.length>0&&(1===t.length?(r=parseInt(t[0]),n=r):t.length>=2&&(r=parseInt(t[0]),n=parseInt(t[1]))),!/^[+-]?\d*\.?\d+$/.test(String(e)))return{valid:!1};const i=String(e).split(".");if(1===i.length)return{valid:0===r};const a=i[1].length;return null!==n?{valid:a>=r&&a<=n}:{valid:a>=r}}catch(e){return console.error("Error in decimal validation:",e),{valid:!1}}}function jt(e,t,r,n){return""===e||null==e?{valid:!0}:Ot(e,t,r,n,"gt",(e,t)=>e>t)}function Mt(e,t,r,n){return""===e||null==e?{valid:!0}:Ot(e,t,r,n,"gte",(e,t)=>e>=t)}function Ut(e,t,r,n){return""===e||null==e?{valid:!0}:Ot(e,t,r,n,"lt",(e,t)=>e<t)}function Yt(e,t,r,n){return""===e||null==e?{valid:!0}:Ot(e,t,r,n,"lte",(e,t)=>e<=t)}function Ot(e,t,r,n,i,a){try{if(0===t.length)return{valid:!1};const i=Q(r,t[0],n),s=i?i.value:t[0];return Ce(e)&&Ce(s)?{valid:a(parseFloat(e),parseFloat(s))}:{valid:a(String(e).length,String(s).length)}}catch(e){return console.error(`Error in ${i} validation:`,e),{valid:!1}}}function zt(e,t){if(""===e||null==e||!e)return{valid:!0};try{const r=be(e);if(!r)return{valid:!1};if(0===r.length)return{valid:!0};const n=It(t);return Promise.all(r.map(e=>function(e){const t="image/svg+xml"===e.type||/\.svg$/i.test(e.name||"");if(t)return function(e,t){return new Promise((r,n)=>{const i=new FileReader;i.onload=()=>r(i.result),i.onerror=()=>n(i.error),i.readAsText(e.slice(0,t))})}(e,65536).then(qt,()=>null);if(!/^image\//.test(e.type))return Promise.resolve(null);return function(e){return new Promise(t=>{const r=new Image,n=URL.createObjectURL(e);r.onload=function(){URL.revokeObjectURL(n),t({width:r.width,height:r.height})},r.onerror=function(){URL.revokeObjectURL(n),t(null)},r.src=n})}(e)}(e).then(t=>({file:e,size:t,constraint:null===t?null:Rt(t.width,t.height,n)})))).then(e=>{const t=e.find(e=>null===e.size);if(t)return{valid:!1,placeholders:{file:t.file.name}};const r=e.find(e=>null!==e.constraint);return r?{valid:!1,message:J("dimensions",r.constraint),placeholders:{file:r.file.name,image_width:r.size.width,image_height:r.size.height}}:{valid:!0}})}catch(e){return console.error("Error in dimensions validation:",e),{valid:!1}}}function It(e){const t={};for(const r of e){const[e,n]=r.split("=");e&&n&&(t[e.trim()]=n.trim())}return t}function qt(e){const t=e.match(/<svg\b([^>]*)>/i);if(!t)return null;const r=e=>{const r=t[1].match(new RegExp(`\\s${e}\\s*=\\s*["']([^"']*)["']`,"i"));return r?r[1].trim():null},n=e=>{const t=null!==e?e.match(/^(\d+(?:\.\d+)?)(px)?$/i):null;return t?parseFloat(t[1]):null},i=n(r("width")),a=n(r("height"));if(null!==i&&null!==a)return{width:i,height:a};const s=(r("viewBox")||"").split(/[\s,]+/).map(parseFloat);return 4===s.length&&s[2]>0&&s[3]>0?{width:s[2],height:s[3]}:null}function Rt(e,t,r){const n=e=>parseFloat(r[e]);if(r.width&&e!==n("width"))return"width";if(r.height&&t!==n("height"))return"height";if(r.min_width&&e<n("min_width"))return"min_width";if(r.max_width&&e>n("max_width"))return"max_width";if(r.min_height&&t<n("min_height"))return"min_height";if(r.max_height&&t>n("max_height"))return"max_height";if(r.ratio){const[i,a="1"]=r.ratio.split("/"),s=parseFloat(i)/parseFloat(a),l=r.ratio_tolerance?n("ratio_tolerance"):1/(Math.max(e,t)+1);if(isNaN(s)||Math.abs(e/t-s)>l)return"ratio"}const i=e*t/1e6;if(r.min_megapixels&&i<n("min_megapixels"))return"min_megapixels";if(r.max_megapixels&&i>n("max_megapixels"))return"max_megapixels";if(r.orientation){if((e>t?"landscape":e<t?"portrait":"square")!==r.orientation.toLowerCase())return"orientation"}return null}function Kt(e,t,r,n){if(""===e||null==e||!e)return{valid:!0};try{const r=be(e);if(!r)return{valid:!1};if(0===r.length)return{valid:!0};const i=parseFloat(t[0]);return isNaN(i)?{valid:!1}:Promise.all(r.map(e=>Jt(e).catch(()=>null).then(t=>({file:e,metadata:t})))).then(e=>{const t=e.find(({metadata:e})=>null===e||!n(e.duration,i));return t?{valid:!1,placeholders:t.metadata?{file:t.file.name,duration:Math.round(t.metadata.duration)}:{file:t.file.name}}:{valid:!0}})}catch(e){return console.error(`Error in ${r} validation:`,e),{valid:!1}}}function Ht(e,t){if(""===e||null==e||!e)return{valid:!0};try{const r=be(e);if(!r)return{valid:!1};if(0===r.length)return{valid:!0};const n=It(t);return Promise.all(r.map(e=>Jt(e).catch(()=>null).then(t=>({file:e,metadata:t})))).then(e=>{const t=e.find(({metadata:e})=>null===e||!e.width||!e.height||null!==Rt(e.width,e.height,n));return t?{valid:!1,placeholders:t.metadata?{file:t.file.name,video_width:t.metadata.width,video_height:t.metadata.height}:{file:t.file.name}}:{valid:!0}})}catch(e){return console.error("Error in video_dimensions validation:",e),{valid:!1}}}function Pt(e,t){if(""===e||null==e||!e)return{valid:!0};try{const r=be(e);if(!r)return{valid:!1};if(0===r.length)return{valid:!0};const n=t.map(e=>parseInt(e,10));return Promise.all(r.map(e=>function(e){if(!/^(audio|video)\//.test(e.type))return Promise.resolve(null);return Fe(e,64).then(t=>{const r=(e,r)=>String.fromCharCode(...t.slice(e,r));if(t.length>=24&&"RIFF"===r(0,4)&&"WAVE"===r(8,12)&&"fmt "===r(12,16))return t[22]|t[23]<<8;const n="function"==typeof OfflineAudioContext?OfflineAudioContext:"function"==typeof webkitOfflineAudioContext?webkitOfflineAudioContext:null;return n?e.size>c?(console.warn(`${e.name} is too large to count its audio channels, files over 25MB are not decoded.`),null):new Promise((t,r)=>{const n=new FileReader;n.onload=()=>t(n.result),n.onerror=()=>r(n.error),n.readAsArrayBuffer(e)}).then(e=>new Promise((t,r)=>{new n(1,1,44100).decodeAudioData(e,t,r)})).then(e=>e.numberOfChannels):null}).catch(()=>null)}(e).then(t=>({file:e,channels:t})))).then(e=>{const t=e.find(({channels:e})=>null===e||!n.includes(e));return t?{valid:!1,placeholders:null!==t.channels?{file:t.file.name,channels:t.channels}:{file:t.file.name}}:{valid:!0}})}catch(e){return console.error("Error in audio_channels validation:",e),{valid:!1}}}function Jt(e){return/^(audio|video)\//.test(e.type)?new Promise((t,r)=>{const n=document.createElement(0===e.type.indexOf("audio/")?"audio":"video"),i=URL.createObjectURL(e),a=(e,t)=>{clearTimeout(s),n.onloadedmetadata=n.ondurationchange=n.onerror=null,n.removeAttribute("src"),URL.revokeObjectURL(i),e(t)},s=setTimeout(()=>{a(r,new Error(`Loading the metadata of ${e.name} timed out`))},1e4),l=()=>({duration:n.duration,width:n.videoWidth||0,height:n.videoHeight||0});n.onloadedmetadata=function(){isFinite(n.duration)?a(t,l()):(n.ondurationchange=function(){isFinite(n.duration)&&a(t,l())},n.currentTime=Number.MAX_SAFE_INTEGER)},n.onerror=function(){a(r,new Error(`The browser cannot load ${e.name}`))},n.preload="metadata",n.src=i}):Promise.resolve(null)}function Bt(){return{valid:!0}}function Vt(e,t,r,n){try{let i=!1;for(const e of t){const t=Q(r,e,n);if(!t)continue;const a=t.value;if(null!=a&&""!==String(a).trim()){i=!0;break}}return i?ae(e,null):{valid:!0}}catch(e){return console.error("Error in required_with validation:",e),{valid:!1}}}function Wt(e,t){if(""===e||null==e)return{valid:!0};try{const r=String(e);for(const e of t)if(!r.includes(e))return{valid:!1};return{valid:!0}}catch(e){return console.error("Error in contains validation:",e),{valid:!1}}}function Gt(e,t){if(""===e||null==e)return{valid:!0};try{const r=String(e);for(const e of t)if(r.includes(e))return{valid:!1};return{valid:!0}}catch(e){return console.error("Error in doesnt_contain validation:",e),{valid:!1}}}function Zt(e){try{return{valid:[!0,"true",1,"1","yes","on"].includes(e)}}catch(e){return console.error("Error in accepted validation:",e),{valid:!1}}}function Xt(e){if(""===e||null==e||!e)return{valid:!0};try{const t=be(e);if(!t)return{valid:!1};const r=["image/jpeg","image/png","image/gif","image/webp","image/svg+xml","image/bmp","image/tiff"],n=t.find(e=>!r.includes(e.type));return n?{valid:!1,placeholders:{file:n.name}}:{valid:!0}}catch(e){return console.error("Error in image validation:",e),{valid:!1}}}function Qt(e,t,r,n,a,s={}){if(""===e||null==e)return{valid:!0};const[l]=t;if(!l)return{valid:!1,message:J("remote","url")};const{payload:o,requestKey:u,state:d}=er(e,t,r,n,a,s);if(d.result&&d.requestKey===u)return d.result;clearTimeout(d.timer),d.controller&&(d.controller.abort(),d.controller=null),d.requestKey=u,d.result=null;const c=(e,t)=>{d.controller=null,d.result=t?e:null,d.waiters.splice(0).forEach(t=>t(e))},f=()=>{const e=i.fetch||((...e)=>fetch(...e)),t=i.method.toUpperCase(),r="undefined"!=typeof AbortController?new AbortController:null,n={method:t,credentials:i.credentials,headers:{Accept:"application/json",...i.headers},signal:r?r.signal:void 0};let a=l;if("GET"===t){const e=new URLSearchParams;for(const t in o)[].concat(o[t]).forEach(r=>e.append(t,r));a+=(l.includes("?")?"&":"?")+e.toString()}else n.headers["Content-Type"]="application/json",n.body=JSON.stringify(o);d.controller=r,Promise.resolve(e(a,n)).then(e=>{if(!e.ok)throw new Error(`Remote validation failed with status ${e.status}`);return e.json()}).then(e=>{if(d.requestKey!==u)return;const t={valid:!(!e||!e.valid)};e&&e.message&&(t.message=e.message),c(t,!0)}).catch(e=>{d.requestKey!==u||e&&"AbortError"===e.name||(console.error("Error in remote validation:",e),c({valid:!1,message:J("remote","failed")},!1))})};return new Promise(e=>{d.waiters.push(e),d.timer=setTimeout(f,s.live?i.debounce:0)})}function er(e,t,r,n,i,s={}){const[l,...o]=t,u=r?r.getAttribute(i):s.fieldName,d={[u]:e};for(const e of o){const t=Q(n,e,i);d[e]=t?t.value:""}const c=r||n;a.has(c)||a.set(c,{});const f=a.get(c);return f[u]||(f[u]={requestKey:null,result:null,timer:null,controller:null,waiters:[]}),{payload:d,requestKey:l+JSON.stringify(d),state:f[u]}}function tr(e,t,r,i,a,l={}){const{name:o,parameters:u}=t,d=t=>{const r={label:i,attribute:i,field:e};return Object.keys(l).forEach(e=>{void 0===l[e]||Object.prototype.hasOwnProperty.call(r,e)||(r[e]=String(l[e]))}),t.replace(/( ?):(?:param\[(\d+)\]|([A-Za-z_]\w*))/g,(e,t,n,i)=>void 0!==n?u&&n<u.length?t+u[n]:e:Object.prototype.hasOwnProperty.call(r,i)?t+r[i]:"file"===i?"":e)};if(r[o])return d(r[o]);if(a)return d(a);const c=n[o];return d(P("messages",o)||c&&c.message||s[o]||P("messages","default")||s.default)}function rr(e){return"undefined"!=typeof CSS&&"function"==typeof CSS.escape?CSS.escape(String(e)):String(e).replace(/[^\w-]/g,e=>`\\${e}`)}function nr(e){return String(e).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;")}return{validationJs:function(e,t,r={},n="name"){return T(e,t,r,n).validate()},validationJsAsync:function(e,t,r={},n="name"){return T(e,t,r,n).validateAsync()},validationJsData:function(e,t,r={},n={}){return b(e,t,r,n,M)},validationJsDataAsync:async function(e,t,r={},n={}){return b(e,t,r,n,U)},validationJsAttach:function(e,t,n={},i={}){const{attributeType:a="name",stopOnFirstFailure:s=!0,...l}=i,o=new y(e,t,n,{attributeType:a,stopOnFirstFailure:s}).attach(l);return r=o,{validator:o,validate:async()=>{const e=await o.validateAsync();return l.inlineErrors&&o.getErrors("inline"),e},validateField:e=>o.validateField(e),detach:()=>{o.detach()}}},validationJsError:function(e="raw",t="single"){return r?r.getErrors(e,t):"detailed"===e?[]:"raw"===e?{}:void 0},validationJsDebug:function(t=!0){e=t},validationJsExtend:function(t,r,i=""){if("string"!=typeof t||""===t.trim()||/[|:]/.test(t))throw new Error('Custom rule name must be a non-empty string without "|" or ":"');if("function"!=typeof r)throw new Error(`Custom rule "${t}" must be a function`);n[t.trim()]={name:t.trim(),fn:r,message:i},e&&console.log(`Custom rule registered: ${t}`)},validationJsRemote:function(e={}){return Object.assign(i,e),{...i}},validationJsLocale:function(t,r){if(void 0===t)return o;if("string"!=typeof t||""===t.trim())throw new Error("Locale must be a non-empty string");if(t=t.trim(),void 0===r)return o=t,!e||"en"===t||l[t]||l[t.split("-")[0]]||console.warn(`No messages registered for locale "${t}", English messages are used`),o;if(null===r||"object"!=typeof r)throw new Error("Locale catalog must be an object with messages and/or attributes");return l[t]||(l[t]={messages:{},attributes:{}}),Object.assign(l[t].messages,r.messages||{}),Object.assign(l[t].attributes,r.attributes||{}),e&&console.log(`Messages registered for locale: ${t}`),o},validationJsHolidays:function(t,r){if("string"!=typeof t||""===t.trim()||/[|:,]/.test(t))throw new Error('Holiday calendar name must be a non-empty string without "|", ":" or ","');if("function"!=typeof r&&!Array.isArray(r))throw new Error(`Holidays of calendar "${t}" must be an array of dates or a function`);const n=new Set;(Array.isArray(r)?r:[]).forEach(e=>{const r=e instanceof Date?`${e.getFullYear()}-${String(e.getMonth()+1).padStart(2,"0")}-${String(e.getDate()).padStart(2,"0")}`:String(e).trim();if(!/^(\d{4}-)?\d{2}-\d{2}$/.test(r))throw new Error(`Invalid holiday "${e}" in calendar "${t}", use 'Y-m-d' or 'm-d'`);n.add(r)}),u[t.trim()]={dates:n,fn:"function"==typeof r?r:null},e&&console.log(`Holiday calendar registered: ${t}`)},Validator:y,validateRequired:ae,validateRequiredIf:se,validateRequiredUnless:le,validateRequiredWith:Vt,validateNullable:Bt,validateAccepted:Zt,validateString:oe,validateNumeric:ue,validateInteger:de,validateDecimal:Lt,validateCurrency:Nt,validateEmail:ce,validateUrl:at,validateAlpha:ot,validateAlphaNum:ut,validateAlphaDash:kt,validateLowercase:$t,validateUppercase:St,validateRegex:bt,validateArray:fe,validateBoolean:st,validateJson:wt,validateFile:me,validateImage:Xt,validateSize:he,validateMinSize:pe,validateTotalSize:ge,validateMinFiles:ve,validateMaxFiles:ye,validateMimes:_e,validateMimeTypes:Ee,validateDimensions:zt,validateDuration:Kt,validateVideoDimensions:Ht,validateAudioChannels:Pt,validateMin:De,validateMax:ke,validateMinLength:Ct,validateMaxLength:Dt,validateBetween:$e,validateGreaterThan:jt,validateLessThan:Ut,validateLessThanOrEqual:Yt,validateGreaterThanOrEqual:Mt,validateDigits:Ft,validateDigitsBetween:At,validateDate:Se,validateDateFormat:Le,validateAfter:qe,validateBefore:Re,validateAfterOrEqual:Ke,validateBeforeOrEqual:He,validateWeekend:We,validateWeekday:Ge,validateDayIn:Ze,validateBusinessDay:Xe,validateNotHoliday:Qe,validateMinLeadDays:tt,validateMaxLeadDays:rt,validateTime:it,validateConfirmed:lt,validateSame:dt,validateDifferent:ct,validateIn:ft,validateNotIn:mt,validateMinItems:pt,validateMaxItems:gt,validateDistinct:vt,validateRequiredOneOf:yt,validateContains:Wt,validateDoesntContain:Gt,validateIp:_t,validateIpv4:Tt,validateIpv6:xt,validateUuid:Et,validateRemote:Qt}});
\ No newline at end of file
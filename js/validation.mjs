@@ -0,0 +1,103 @@
+/**
+ * Validation.js ES module entry
+ *
+ * Re-exports the UMD build (validation.js) as named exports for bundlers, Node and browsers.
+ */
+import * as umd from './validation.js';
+
+// Bundlers and Node expose module.exports as the default export,
+// a browser evaluates the UMD build as a script that defines the ValidationJS global
+const ValidationJS = umd.default || globalThis.ValidationJS;
+
+export const {
+    validationJs,
+    validationJsAsync,
+    validationJsData,
+    validationJsDataAsync,
+    validationJsAttach,
+    validationJsError,
+    validationJsDebug,
+    validationJsExtend,
+    validationJsRemote,
+    validationJsLocale,
+    validationJsHolidays,
+    Validator,
+    validateRequired,
+    validateRequiredIf,
+    validateRequiredUnless,
+    validateRequiredWith,
+    validateNullable,
+    validateAccepted,
+    validateString,
+    validateNumeric,
+    validateInteger,
+    validateDecimal,
+    validateCurrency,
+    validateEmail,
+    validateUrl,
+    validateAlpha,
+    validateAlphaNum,
+    validateAlphaDash,
+    validateLowercase,
+    validateUppercase,
+    validateRegex,
+    validateArray,
+    validateBoolean,
+    validateJson,
+    validateFile,
+    validateImage,
+    validateSize,
+    validateMinSize,
+    validateTotalSize,
+    validateMinFiles,
+    validateMaxFiles,
+    validateMimes,
+    validateMimeTypes,
+    validateDimensions,
+    validateDuration,
+    validateVideoDimensions,
+    validateAudioChannels,
+    validateMin,
+    validateMax,
+    validateMinLength,
+    validateMaxLength,
+    validateBetween,
+    validateGreaterThan,
+    validateLessThan,
+    validateLessThanOrEqual,
+    validateGreaterThanOrEqual,
+    validateDigits,
+    validateDigitsBetween,
+    validateDate,
+    validateDateFormat,
+    validateAfter,
+    validateBefore,
+    validateAfterOrEqual,
+    validateBeforeOrEqual,
+    validateWeekend,
+    validateWeekday,
+    validateDayIn,
+    validateBusinessDay,
+    validateNotHoliday,
+    validateMinLeadDays,
+    validateMaxLeadDays,
+    validateTime,
+    validateConfirmed,
+    validateSame,
+    validateDifferent,
+    validateIn,
+    validateNotIn,
+    validateMinItems,
+    validateMaxItems,
+    validateDistinct,
+    validateRequiredOneOf,
+    validateContains,
+    validateDoesntContain,
+    validateIp,
+    validateIpv4,
+    validateIpv6,
+    validateUuid,
+    validateRemote
+} = ValidationJS;
+
+export default ValidationJS;
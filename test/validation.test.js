@@ -0,0 +1,136 @@
+// Smoke tests of the browser build in jsdom: the sync and async pipelines and the remote rule
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'validation.js'), 'utf8');
+
+// A fresh window per test, so remote state and settings do not leak between tests
+function createWindow(html) {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { runScripts: 'dangerously' });
+    const script = dom.window.document.createElement('script');
+    script.textContent = source;
+    dom.window.document.head.appendChild(script);
+    return dom.window;
+}
+
+// Mock fetch answering { valid } from the sent value, each call is recorded
+function createFetch(isValid, delay = 0) {
+    const calls = [];
+    const fetch = (url, options) => {
+        const call = { url, options, aborted: false };
+        calls.push(call);
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                const value = new URL(url, 'http://localhost').searchParams.get('username');
+                resolve({ ok: true, status: 200, json: () => Promise.resolve({ valid: isValid(value) }) });
+            }, delay);
+            
+            options.signal.addEventListener('abort', () => {
+                call.aborted = true;
+                clearTimeout(timer);
+                reject(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+            });
+        });
+    };
+    
+    return { fetch, calls };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Objects built in the window have its prototypes, compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('validationJs reports failing rules and passes valid values', () => {
+    const window = createWindow('<form id="f"><input name="email" value="not-an-email"><input name="age" value="17"></form>');
+    const rules = { email: 'required|email', age: 'required|integer|min:18' };
+    
+    assert.strictEqual(window.validationJs('f', rules), false);
+    assert.deepStrictEqual(Object.keys(window.validationJsError('raw')), ['email', 'age']);
+    
+    window.document.querySelector('[name=email]').value = 'user@example.com';
+    window.document.querySelector('[name=age]').value = '18';
+    assert.strictEqual(window.validationJs('f', rules), true);
+    assert.deepStrictEqual(plain(window.validationJsError('raw')), {});
+});
+
+test('validationJs fails asynchronous rules as pending and validationJsAsync awaits them', async () => {
+    const window = createWindow('<form id="f"><input name="code" value="abc"></form>');
+    window.validationJsExtend('slow_ok', () => Promise.resolve(true));
+    
+    assert.strictEqual(window.validationJs('f', { code: 'required|slow_ok' }), false);
+    assert.deepStrictEqual(plain(window.validationJsError('raw')), { code: 'The Code field has not been verified yet.' });
+    
+    assert.strictEqual(await window.validationJsAsync('f', { code: 'required|slow_ok' }), true);
+});
+
+test('validationJsData and validationJsDataAsync return the same result for synchronous rules', async () => {
+    const window = createWindow('');
+    const data = { name: '', items: [{ email: 'a@example.com' }, { email: 'a@example.com' }] };
+    const rules = { name: 'required', 'items.*.email': 'required|email|distinct' };
+    
+    const result = window.validationJsData(data, rules);
+    assert.strictEqual(result.isValid, false);
+    assert.deepStrictEqual(Object.keys(result.errors), ['name', 'items.1.email']);
+    
+    const asyncResult = await window.validationJsDataAsync(data, rules);
+    assert.deepStrictEqual(plain(asyncResult.errors), plain(result.errors));
+});
+
+test('remote requests are debounced during live validation', async () => {
+    const window = createWindow('<form id="f"><input name="username" value=""></form>');
+    const { fetch, calls } = createFetch(value => value !== 'taken');
+    window.validationJsRemote({ fetch, debounce: 30 });
+    
+    const outcomes = [];
+    window.validationJsAttach('f', { username: 'remote:/check' }, {}, {
+        events: ['input'],
+        onValidate: (fieldName, isValid) => outcomes.push(isValid)
+    });
+    
+    const input = window.document.querySelector('[name=username]');
+    for (const value of ['t', 'ta', 'taken']) {
+        input.value = value;
+        input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    }
+    
+    await wait(100);
+    assert.strictEqual(calls.length, 1);
+    assert.match(calls[0].url, /username=taken$/);
+    assert.deepStrictEqual(outcomes, [false]);
+});
+
+test('a newer remote request aborts the one in flight and the answer is cached', async () => {
+    const window = createWindow('<form id="f"><input name="username" value="first"></form>');
+    const { fetch, calls } = createFetch(value => value === 'second', 30);
+    window.validationJsRemote({ fetch });
+    
+    const rules = { username: 'remote:/check' };
+    const first = window.validationJsAsync('f', rules);
+    await wait(5);
+    
+    window.document.querySelector('[name=username]').value = 'second';
+    const second = window.validationJsAsync('f', rules);
+    
+    assert.deepStrictEqual(await Promise.all([first, second]), [true, true]);
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[0].aborted, true);
+    
+    // The same value is answered from the last response, also by the synchronous pipeline
+    assert.strictEqual(await window.validationJsAsync('f', rules), true);
+    assert.strictEqual(window.validationJs('f', rules), true);
+    assert.strictEqual(calls.length, 2);
+});
+
+test('a failing remote request fails the rule', async () => {
+    const window = createWindow('');
+    window.console.error = () => {};
+    window.validationJsRemote({ fetch: () => Promise.resolve({ ok: false, status: 500 }) });
+    
+    const result = await window.validationJsDataAsync({ username: 'someone' }, { username: 'remote:/check' });
+    assert.deepStrictEqual(plain(result.errors), { username: ['The Username could not be verified.'] });
+});